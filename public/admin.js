@@ -1,116 +1,163 @@
 // admin.js – Roy-Hart Climate Survey admin dashboard
 
 (function () {
-  const tokenInput    = document.getElementById('admin-token');
+  const loginForm     = document.getElementById('login-form');
+  const usernameInput = document.getElementById('login-username');
+  const passwordInput = document.getElementById('login-password');
+  const adminControls = document.getElementById('admin-controls');
+  const signedInAs    = document.getElementById('signed-in-as');
+  const logoutBtn     = document.getElementById('logout');
   const loadBtn       = document.getElementById('load-summary');
-  const resetBtn      = document.getElementById('reset-data');
+  const closeCycleBtn = document.getElementById('close-cycle');
   const statusEl      = document.getElementById('status');
+  const segmentCard   = document.getElementById('segment-card');
+  const segmentForm   = document.getElementById('segment-form');
+  const segmentField  = document.getElementById('segment-field');
+  const segmentValues = document.getElementById('segment-values');
+  const segmentFrom   = document.getElementById('segment-from');
+  const segmentTo     = document.getElementById('segment-to');
+  const segmentClearBtn = document.getElementById('segment-clear');
+  const segmentChips  = document.getElementById('segment-chips');
   const summaryCard   = document.getElementById('summary-card');
   const summaryMeta   = document.getElementById('summary-meta');
   const summaryContent= document.getElementById('summary-content');
   const freeCard      = document.getElementById('free-card');
   const freeContent   = document.getElementById('free-content');
+  const freeBuildingFilter = document.getElementById('free-building-filter');
+  const freeToggleBtn = document.getElementById('free-toggle');
+  const freeForm      = document.getElementById('free-form');
+  const freeSearch    = document.getElementById('free-search');
+  const freeCategoryFilter = document.getElementById('free-category-filter');
+  const freeSentimentFilter = document.getElementById('free-sentiment-filter');
+  const freeThemeFilter = document.getElementById('free-theme-filter');
+  const analysisCard  = document.getElementById('analysis-card');
+  const analysisContent = document.getElementById('analysis-content');
+  const freeQuotesOnly= document.getElementById('free-quotes-only');
+  const freeMoreBtn   = document.getElementById('free-more');
+  const themeContent  = document.getElementById('theme-content');
+  const themeForm     = document.getElementById('theme-form');
+  const themeNameInput= document.getElementById('theme-name');
   const chartsCard    = document.getElementById('charts-card');
   const chartsGrid    = document.getElementById('charts-grid');
   const openSheetBtn  = document.getElementById('open-sheet');
-
-  const STORAGE_KEY = 'rh_climate_admin_token';
+  const exportBtns    = document.querySelectorAll('[data-export]');
+  const surveySelect  = document.getElementById('survey-select');
+  const cycleSelect   = document.getElementById('cycle-select');
+  const deleteCycleBtn= document.getElementById('delete-cycle');
+  const compareSelect = document.getElementById('compare-select');
+  const languageRow   = document.getElementById('language-row');
+  const languageSelect= document.getElementById('language-select');
+  const languageCard  = document.getElementById('language-card');
+  const languageTable = document.getElementById('language-table');
+  const accessModeSelect = document.getElementById('access-mode-select');
+  const generateInvitesBtn = document.getElementById('generate-invitations');
+  const downloadInvitesBtn = document.getElementById('download-invitations');
+  const surveyStateEl = document.getElementById('survey-state');
+  const opensAtInput  = document.getElementById('opens-at');
+  const closesAtInput = document.getElementById('closes-at');
+  const extendCloseBtn= document.getElementById('extend-close');
+  const saveWindowBtn = document.getElementById('save-window');
+  const trendCard     = document.getElementById('trend-card');
+  const trendSubtitle = document.getElementById('trend-subtitle');
+  const trendTable    = document.getElementById('trend-table');
+  const trendGrid     = document.getElementById('trend-grid');
+  const responseCard  = document.getElementById('response-card');
+  const responseMeta  = document.getElementById('response-meta');
+  const responseCanvas= document.getElementById('response-chart');
+  const responseTable = document.getElementById('response-table');
+  const targetsForm   = document.getElementById('targets-form');
+  const funnelCard    = document.getElementById('funnel-card');
+  const funnelMeta    = document.getElementById('funnel-meta');
+  const funnelTable   = document.getElementById('funnel-table');
+  const quarantineCard = document.getElementById('quarantine-card');
+  const quarantineContent = document.getElementById('quarantine-content');
+  const webhookCard   = document.getElementById('webhook-card');
+  const webhookTargets= document.getElementById('webhook-targets');
+  const webhookFailed = document.getElementById('webhook-failed');
+  const webhookRefreshBtn = document.getElementById('webhook-refresh');
+  const webhookReplayAllBtn = document.getElementById('webhook-replay-all');
+  const redactionCard = document.getElementById('redaction-card');
+  const redactionForm = document.getElementById('redaction-form');
+  const redactionInput= document.getElementById('redaction-input');
+  const redactionNames= document.getElementById('redaction-names');
+  const activityCard  = document.getElementById('activity-card');
+  const activityForm  = document.getElementById('activity-form');
+  const activityAction= document.getElementById('activity-action');
+  const activityActor = document.getElementById('activity-actor');
+  const activityFrom  = document.getElementById('activity-from');
+  const activityTo    = document.getElementById('activity-to');
+  const activityContent = document.getElementById('activity-content');
+  const activityMoreBtn = document.getElementById('activity-more');
+
+  const SURVEY_STORAGE_KEY = 'rh_climate_admin_survey';
+  const LANGUAGE_STORAGE_KEY = 'rh_climate_admin_language';
   const SHEET_URL =
     'https://docs.google.com/spreadsheets/d/1tmL_yu-CEhlFy4lADUpU_2PbhKzz21jyIyHFoMnsAck/edit?usp=sharing';
 
   // Keep_chart_references so we can destroy them when reloading.
   window.__rhCharts = window.__rhCharts || [];
 
-  // Map base question keys → full survey wording
-  const QUESTION_TEXT = {
-    // --- School Community ---
-    community_welcomed:
-      "Do you feel welcomed and included in your child's school community?",
-    community_events:
-      "Have you attended any school events or volunteered at your child's school?",
-    community_meet_teacher:
-      "Have you met with your child's teacher(s) to discuss your child's progress?",
-    community_respect_diversity:
-      "Do you feel that your child's school respects and values the diversity of families?",
-    community_feedback_welcome:
-      "Have you provided feedback to the school on how they can be more welcoming and inclusive?",
-    community_free:
-      "Please share any additional thoughts about the school community.",
-
-    // --- Communicating Effectively ---
-    comm_received_regular:
-      "Have you received regular and clear communication from your child's school about events and activities?",
-    comm_with_teacher:
-      "Have you communicated with your child's teacher about any concerns or questions you have?",
-    comm_conferences:
-      "Have you attended any parent-teacher conferences or meetings?",
-    comm_provided_contact:
-      "Have you provided your contact information to the school to ensure that you receive important updates?",
-    comm_feedback_improve:
-      "Have you provided feedback to the school on how they can improve their communication with families?",
-    communication_free:
-      "Please share any additional thoughts about communication with the school.",
-
-    // --- Supporting Student Success ---
-    success_high_expectations:
-      "Do you have high expectations for your child's academic success?",
-    success_talked_importance:
-      "Have you talked with your child about the importance of education and the opportunities it can provide?",
-    success_extra_support:
-      "Have you provided your child with additional resources or support to help them succeed?",
-    success_comm_teacher:
-      "Have you communicated with your child's teacher about any academic concerns or challenges your child may be facing?",
-    success_free:
-      "Please share any additional thoughts about supporting student success.",
-
-    // --- Speaking Up for Every Child ---
-    advocacy_responsive:
-      "Do you feel that your child's school is responsive to your concerns or questions?",
-    advocacy_for_child:
-      "Have you advocated for your child's needs and interests with their school or teachers?",
-    advocacy_participated:
-      "Have you participated in any school or community efforts to advocate for all children?",
-    advocacy_feedback_needs:
-      "Have you provided feedback to the school on how they can better meet the needs of all children?",
-    advocacy_encourage_child:
-      "Have you encouraged your child to speak up for themselves and their peers?",
-    advocacy_free:
-      "Please share any additional thoughts about speaking up for every child.",
-
-    // --- Decision Making ---
-    decision_participated:
-      "Have you participated in any school decision-making processes or committees?",
-    decision_feedback_policies:
-      "Have you provided feedback to the school on any policies or programs that affect your child or their classmates?",
-    decision_collab_staff:
-      "Have you worked collaboratively with your child's teacher or school staff to address any issues or concerns?",
-    decision_support_leadership:
-      "Have you supported your child in developing leadership skills and advocating for themselves and their peers?",
-    decision_free:
-      "Please share any additional thoughts about decision making and collaboration.",
-
-    // --- School Safety ---
-    safety_child_safe:
-      "How safe do you feel your child is while at school?",
-    safety_notify_quickly:
-      "How confident are you that you would be notified quickly if there were a safety concern or emergency at school?",
-    safety_physical_measures:
-      "How confident are you in the school's physical safety measures (locked doors, visitor check-in, cameras, etc.)?",
-    safety_supervision:
-      "Do you feel the school grounds are supervised adequately during arrival, dismissal, and lunch?",
-    safety_reporting:
-      "Do you believe your child feels comfortable reporting bullying or unsafe behavior?",
-    safety_knows_who:
-      "Does your child know who to go to if they are feeling unsafe or need help?",
-    safety_staff_trained:
-      "How confident are you that staff are trained to respond appropriately in emergency situations?",
-    safety_free:
-      "Please share any additional thoughts about school safety."
-  };
+  // Labels and groupings come from the survey definition served with the
+  // summary (see definitions/ on the server). Keys it doesn't describe fall
+  // back to a title-cased key under "Other".
+  const NO_BUILDING_LABEL = 'All / N/A';
+  let keyIndex = {};
+  let sectionOrder = [];
+  let buildingOrder = [];
+
+  function useDefinition(definition) {
+    keyIndex = {};
+    sectionOrder = [];
+    buildingOrder = [];
+    if (!definition) return;
+
+    const buildings = definition.buildings || [];
+    buildingOrder = buildings.map(b => b.label);
+
+    for (const section of definition.sections || []) {
+      sectionOrder.push(section.title);
+      for (const q of section.questions || []) {
+        const meta = {
+          questionKey: q.key,
+          text: q.text,
+          type: q.type,
+          options: q.options,
+          allowNA: q.allowNA,
+          min: q.min,
+          max: q.max,
+          categoryLabel: section.title
+        };
+        if (q.perBuilding) {
+          for (const b of buildings) {
+            keyIndex[`${q.key}_${b.id}`] = { ...meta, buildingLabel: b.label };
+          }
+        } else {
+          keyIndex[q.key] = { ...meta, buildingLabel: NO_BUILDING_LABEL };
+        }
+      }
+    }
+  }
+
+  function orderOf(list, value) {
+    const i = list.indexOf(value);
+    return i === -1 ? list.length : i;
+  }
+
+  function compareGroups(a, b) {
+    const c =
+      orderOf(sectionOrder, a.categoryLabel) - orderOf(sectionOrder, b.categoryLabel) ||
+      a.categoryLabel.localeCompare(b.categoryLabel);
+    if (c !== 0) return c;
+    return (
+      orderOf(buildingOrder, a.buildingLabel) - orderOf(buildingOrder, b.buildingLabel) ||
+      a.buildingLabel.localeCompare(b.buildingLabel)
+    );
+  }
 
-  // Restore token from localStorage if available
-  const savedToken = window.localStorage.getItem(STORAGE_KEY) || '';
-  if (savedToken) tokenInput.value = savedToken;
+  // Session state. The session itself lives in an HttpOnly cookie; the
+  // CSRF token is kept in memory only and re-read from /admin/session.
+  let csrfToken = '';
+  let currentUser = null;
 
   // ---- UI helpers ----
   function setStatus(msg, type) {
@@ -119,6 +166,67 @@
     if (type) statusEl.classList.add(type);
   }
 
+  // Everything admin.js sends to the backend goes through here
+  async function api(url, options = {}) {
+    const method = options.method || 'GET';
+    const headers = {};
+    let body;
+    if (method !== 'GET') headers['X-CSRF-Token'] = csrfToken;
+    if (options.json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(options.json);
+    }
+
+    const resp = await fetch(url, {
+      method,
+      headers,
+      body,
+      credentials: 'same-origin'
+    });
+    if (resp.status === 401 && currentUser) {
+      showSignedOut('Your session has ended. Please sign in again.');
+    }
+    return resp;
+  }
+
+  function isDistrictAdmin() {
+    return !!currentUser && currentUser.role === 'district_admin';
+  }
+
+  function showSignedIn(user, token) {
+    currentUser = user;
+    csrfToken = token;
+    loginForm.hidden = true;
+    adminControls.hidden = false;
+    signedInAs.textContent =
+      `${user.username} (${user.role === 'district_admin' ? 'district admin' : 'viewer'})` +
+      (user.buildings && user.buildings.length
+        ? ` · limited to buildings: ${user.buildings.join(', ')}`
+        : '');
+    document.querySelectorAll('.district-admin-only').forEach((el) => {
+      el.hidden = !isDistrictAdmin();
+    });
+    deleteCycleBtn.hidden = !isDistrictAdmin() || !cycleSelect.value;
+  }
+
+  function showSignedOut(message) {
+    currentUser = null;
+    csrfToken = '';
+    loginForm.hidden = false;
+    adminControls.hidden = true;
+    passwordInput.value = '';
+    activityCard.hidden = true;
+    activityContent.innerHTML = '';
+    redactionCard.hidden = true;
+    redactionNames.innerHTML = '';
+    webhookCard.hidden = true;
+    webhookTargets.innerHTML = '';
+    webhookFailed.innerHTML = '';
+    activityMoreBtn.hidden = true;
+    clearResults();
+    setStatus(message || '', message ? 'error' : undefined);
+  }
+
   // Sheet button
   if (openSheetBtn) {
     openSheetBtn.addEventListener('click', () => {
@@ -126,169 +234,1210 @@
     });
   }
 
-  // Strip building suffix and map to full question text where possible
+  // Full question wording from the definition where possible
   function prettyQuestionLabel(key) {
-    const base = key.replace(/_(elem|ms|hs)$/, '');
-    if (QUESTION_TEXT[base]) return QUESTION_TEXT[base];
+    if (keyIndex[key]) return keyIndex[key].text;
+
+    // fallback: title-case the key
+    return key
+      .replace(/_/g, ' ')
+      .replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  function parseQuestionMeta(key) {
+    const entry = keyIndex[key];
+    if (entry) {
+      return {
+        categoryLabel: entry.categoryLabel,
+        buildingLabel: entry.buildingLabel
+      };
+    }
+    return { categoryLabel: 'Other', buildingLabel: NO_BUILDING_LABEL };
+  }
+
+  // ---------- Event handlers ----------
+
+  loginForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+    if (!username || !password) {
+      setStatus('Enter your username and password.', 'error');
+      return;
+    }
+    signIn(username, password);
+  });
+
+  logoutBtn.addEventListener('click', () => {
+    signOut();
+  });
+
+  loadBtn.addEventListener('click', () => {
+    loadSurveysAndSummary();
+  });
+
+  surveySelect.addEventListener('change', () => {
+    window.localStorage.setItem(SURVEY_STORAGE_KEY, surveySelect.value);
+    showAccessMode();
+    showSurveyWindow();
+    cycleSelect.value = '';
+    clearSegment();
+    if (surveySelect.value) loadCyclesAndSummary();
+  });
+
+  cycleSelect.addEventListener('change', () => {
+    deleteCycleBtn.hidden = !isDistrictAdmin() || !cycleSelect.value;
+    fillCompareOptions();
+    if (surveySelect.value) {
+      fetchSummary(surveySelect.value, cycleSelect.value);
+      fetchResponses(surveySelect.value, cycleSelect.value);
+    }
+  });
+
+  targetsForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveTargets();
+  });
+
+  segmentField.addEventListener('change', () => {
+    renderSegmentValues();
+  });
+
+  segmentForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const key = segmentField.value;
+    const values = Array.from(segmentValues.querySelectorAll('input:checked'))
+      .map(input => input.value);
+    if (!key || !values.length) {
+      setStatus('Choose a question and at least one answer.', 'error');
+      return;
+    }
+    segment.fields[key] = values;
+    segmentField.value = '';
+    renderSegmentValues();
+    applySegment();
+  });
+
+  [segmentFrom, segmentTo].forEach((el) => {
+    el.addEventListener('change', () => applySegment());
+  });
+
+  segmentClearBtn.addEventListener('click', () => {
+    clearSegment();
+    applySegment();
+  });
+
+  compareSelect.addEventListener('change', () => {
+    if (surveySelect.value) {
+      fetchSummary(surveySelect.value, cycleSelect.value);
+    }
+  });
+
+  languageSelect.addEventListener('change', () => {
+    window.localStorage.setItem(LANGUAGE_STORAGE_KEY, languageSelect.value);
+    if (surveySelect.value) {
+      fetchSummary(surveySelect.value, cycleSelect.value);
+    }
+  });
+
+  closeCycleBtn.addEventListener('click', () => {
+    const surveyId = surveySelect.value;
+    if (!surveyId) {
+      setStatus('Load summary and pick a survey before closing a cycle.', 'error');
+      return;
+    }
+
+    const label = window.prompt(
+      `Close the active cycle of "${selectedSurveyTitle()}".\n\n` +
+      'Its responses are archived under this label and stay available ' +
+      'under "Cycle". New responses start a fresh cycle.\n\n' +
+      'Cycle label:',
+      suggestedCycleLabel()
+    );
+    if (!label || !label.trim()) return;
+
+    closeCycle(surveyId, label.trim());
+  });
+
+  deleteCycleBtn.addEventListener('click', () => {
+    const label = cycleSelect.value;
+    if (!surveySelect.value || !label) return;
+
+    const typed = window.prompt(
+      `This will permanently delete every archived response in cycle "${label}" ` +
+      `of "${selectedSurveyTitle()}". This cannot be undone.\n\n` +
+      'Type the cycle label to confirm:'
+    );
+    if (typed == null) return;
+    if (typed.trim() !== label) {
+      setStatus('Cycle label did not match; nothing was deleted.', 'error');
+      return;
+    }
+
+    deleteCycle(surveySelect.value, label);
+  });
+
+  accessModeSelect.addEventListener('change', () => {
+    const survey = knownSurveys[surveySelect.value];
+    if (!survey) return;
+    const mode = accessModeSelect.value;
+    const ok = window.confirm(
+      mode === 'invitation'
+        ? `From now on "${survey.title}" only accepts responses with an ` +
+          'unused invitation code. Generate and send codes before switching.'
+        : `From now on "${survey.title}" accepts one response per network ` +
+          '(IP address) again, without invitation codes.'
+    );
+    if (!ok) {
+      showAccessMode();
+      return;
+    }
+    setAccessMode(survey.id, mode);
+  });
+
+  // Moves the close date in the form a week later (from now if it has no
+  // close date or has already closed); "Save dates" stores it
+  extendCloseBtn.addEventListener('click', () => {
+    const current = closesAtInput.value ? new Date(closesAtInput.value) : null;
+    const from = current && current > new Date() ? current : new Date();
+    closesAtInput.value = toLocalInput(
+      new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000).toISOString()
+    );
+  });
+
+  saveWindowBtn.addEventListener('click', () => {
+    if (!knownSurveys[surveySelect.value]) {
+      setStatus('Load summary and pick a survey before changing its dates.', 'error');
+      return;
+    }
+    saveSurveyWindow(surveySelect.value, {
+      opensAt: fromLocalInput(opensAtInput.value),
+      closesAt: fromLocalInput(closesAtInput.value)
+    });
+  });
+
+  generateInvitesBtn.addEventListener('click', () => {
+    if (!surveySelect.value) {
+      setStatus('Load summary and pick a survey before generating codes.', 'error');
+      return;
+    }
+    const answer = window.prompt(
+      `How many single-use invitation codes for "${selectedSurveyTitle()}"?`,
+      '100'
+    );
+    if (answer == null) return;
+    const count = Number(answer.trim());
+    if (!Number.isInteger(count) || count < 1) {
+      setStatus('Enter a whole number of codes.', 'error');
+      return;
+    }
+    generateInvitations(surveySelect.value, count);
+  });
+
+  downloadInvitesBtn.addEventListener('click', async () => {
+    if (!surveySelect.value) {
+      setStatus('Load summary and pick a survey before downloading codes.', 'error');
+      return;
+    }
+    downloadInvitesBtn.disabled = true;
+    try {
+      const name = await downloadFile(
+        `/admin/surveys/${encodeURIComponent(surveySelect.value)}/invitations.csv`,
+        'invitations.csv'
+      );
+      setStatus(`Downloaded ${name}.`, 'success');
+    } catch (err) {
+      console.error(err);
+      setStatus('Invitation error: ' + err.message, 'error');
+    } finally {
+      downloadInvitesBtn.disabled = false;
+    }
+  });
+
+  // Exports cover the survey and cycle currently selected
+  exportBtns.forEach((btn) => {
+    btn.addEventListener('click', () => {
+      if (!surveySelect.value) {
+        setStatus('Load summary and pick a survey before exporting.', 'error');
+        return;
+      }
+      downloadExport(surveySelect.value, cycleSelect.value, btn);
+    });
+  });
+
+  redactionForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const names = redactionInput.value.split('\n').map(n => n.trim()).filter(Boolean);
+    if (names.length) addRedactionNames(names);
+  });
+
+  webhookRefreshBtn.addEventListener('click', () => {
+    fetchWebhooks();
+  });
+
+  webhookReplayAllBtn.addEventListener('click', () => {
+    replayDeliveries({});
+  });
+
+  // Filters apply as soon as they change; the search box on Enter
+  freeForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    fetchComments(false);
+  });
+
+  [
+    freeBuildingFilter,
+    freeCategoryFilter,
+    freeSentimentFilter,
+    freeThemeFilter,
+    freeQuotesOnly
+  ].forEach((el) => {
+    el.addEventListener('change', () => fetchComments(false));
+  });
+
+  freeMoreBtn.addEventListener('click', () => {
+    fetchComments(true);
+  });
+
+  themeForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = themeNameInput.value.trim();
+    if (name) addTheme(name);
+  });
+
+  // Collapse or expand every building group in the free-text card
+  freeToggleBtn.addEventListener('click', () => {
+    const groups = freeContent.querySelectorAll('details.free-building');
+    const collapse = freeToggleBtn.textContent === 'Collapse all';
+    groups.forEach((d) => { d.open = !collapse; });
+    freeToggleBtn.textContent = collapse ? 'Expand all' : 'Collapse all';
+  });
+
+  activityForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    fetchActivity(false);
+  });
+
+  activityMoreBtn.addEventListener('click', () => {
+    fetchActivity(true);
+  });
+
+  // The survey runs in the spring, so suggest the school year that ends in
+  // the current calendar year, e.g. "2025-26" anywhere in 2026.
+  function suggestedCycleLabel() {
+    const year = new Date().getFullYear();
+    return `${year - 1}-${String(year).slice(-2)}`;
+  }
+
+  function selectedSurveyTitle() {
+    const opt = surveySelect.options[surveySelect.selectedIndex];
+    return opt ? opt.textContent : surveySelect.value;
+  }
+
+  // ---------- Backend calls ----------
+
+  async function checkSession() {
+    try {
+      const resp = await fetch('/admin/session', { credentials: 'same-origin' });
+      if (!resp.ok) return;
+      const data = await resp.json();
+      showSignedIn(data.user, data.csrfToken);
+      loadSurveysAndSummary();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  async function signIn(username, password) {
+    setStatus('Signing in…');
+
+    try {
+      const resp = await fetch('/admin/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'same-origin',
+        body: JSON.stringify({ username, password })
+      });
+      const data = await resp.json().catch(() => ({}));
+
+      if (resp.status === 401) {
+        setStatus('Incorrect username or password.', 'error');
+        return;
+      }
+      if (resp.status === 429) {
+        setStatus('Too many failed attempts. Try again in 15 minutes.', 'error');
+        return;
+      }
+      if (!resp.ok || !data.ok) {
+        setStatus(data.error || `Server error (${resp.status}).`, 'error');
+        return;
+      }
+
+      passwordInput.value = '';
+      showSignedIn(data.user, data.csrfToken);
+      loadSurveysAndSummary();
+    } catch (err) {
+      console.error(err);
+      setStatus('Network error while signing in.', 'error');
+    }
+  }
+
+  async function signOut() {
+    try {
+      await api('/admin/logout', { method: 'POST' });
+    } catch (err) {
+      console.error(err);
+    }
+    showSignedOut();
+    setStatus('Signed out.', 'success');
+  }
+
+  async function loadSurveysAndSummary() {
+    if (isDistrictAdmin()) {
+      fetchWebhooks();
+      fetchRedactionNames();
+    }
+    const ok = await fetchSurveys();
+    if (ok && surveySelect.value) loadCyclesAndSummary();
+  }
+
+  async function loadCyclesAndSummary() {
+    await fetchCycles(surveySelect.value);
+    fetchSummary(surveySelect.value, cycleSelect.value);
+    fetchResponses(surveySelect.value, cycleSelect.value);
+    if (isDistrictAdmin()) fetchQuarantine(surveySelect.value);
+  }
+
+  // Every cycle except the one being viewed can be compared against;
+  // the most recent other cycle is preselected.
+  let knownCycles = [];
+
+  function fillCompareOptions() {
+    const previous = compareSelect.value;
+    compareSelect.innerHTML = '<option value="">No comparison</option>';
+
+    const choices = [{ value: 'active', label: 'Active cycle' }]
+      .concat(knownCycles.map(c => ({ value: c.label, label: c.label })))
+      .filter(c => c.value !== (cycleSelect.value || 'active'));
+
+    for (const c of choices) {
+      const opt = document.createElement('option');
+      opt.value = c.value;
+      opt.textContent = c.label;
+      compareSelect.appendChild(opt);
+    }
+    compareSelect.disabled = !choices.length;
+
+    if (choices.some(c => c.value === previous)) {
+      compareSelect.value = previous;
+    } else if (!cycleSelect.value && knownCycles.length) {
+      compareSelect.value = knownCycles[0].label;
+    }
+  }
+
+  async function fetchCycles(surveyId) {
+    const previous = cycleSelect.value;
+    knownCycles = [];
+    cycleSelect.innerHTML = '<option value="">Active cycle</option>';
+    cycleSelect.disabled = true;
+
+    try {
+      const url = `/admin/surveys/${encodeURIComponent(surveyId)}/cycles`;
+      const resp = await api(url);
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) return;
+
+      cycleSelect.options[0].textContent =
+        `Active cycle (${data.activeSubmissions})`;
+      knownCycles = data.cycles || [];
+      for (const c of knownCycles) {
+        const opt = document.createElement('option');
+        opt.value = c.label;
+        opt.textContent = `${c.label} – archived (${c.submissionCount})`;
+        cycleSelect.appendChild(opt);
+      }
+      cycleSelect.disabled = false;
+      if ((data.cycles || []).some(c => c.label === previous)) {
+        cycleSelect.value = previous;
+      }
+    } catch (err) {
+      console.error(err);
+    } finally {
+      deleteCycleBtn.hidden = !isDistrictAdmin() || !cycleSelect.value;
+      fillCompareOptions();
+    }
+  }
+
+  // Surveys from the last /admin/surveys call, by id
+  let knownSurveys = {};
+
+  function showAccessMode() {
+    const survey = knownSurveys[surveySelect.value];
+    accessModeSelect.value = survey ? survey.accessMode : 'ip';
+    accessModeSelect.disabled = !survey;
+  }
+
+  async function setAccessMode(surveyId, mode) {
+    accessModeSelect.disabled = true;
+    try {
+      const resp = await api(`/admin/surveys/${encodeURIComponent(surveyId)}`, {
+        method: 'PATCH',
+        json: { accessMode: mode }
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Update failed');
+      }
+      knownSurveys[surveyId].accessMode = data.survey.accessMode;
+      setStatus(
+        mode === 'invitation'
+          ? 'Responses now require an invitation code.'
+          : 'Responses are now limited to one per network.',
+        'success'
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus('Access mode error: ' + err.message, 'error');
+    } finally {
+      showAccessMode();
+    }
+  }
+
+  // datetime-local inputs hold local time without a zone
+  function toLocalInput(iso) {
+    if (!iso) return '';
+    const d = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}` +
+      `T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  function fromLocalInput(value) {
+    return value ? new Date(value).toISOString() : null;
+  }
+
+  function surveyStateText(survey) {
+    const when = iso => new Date(iso).toLocaleString();
+    if (survey.state === 'scheduled') return `Not open yet, opens ${when(survey.opensAt)}`;
+    if (survey.state === 'closed') return `Closed since ${when(survey.closesAt)}`;
+    return survey.closesAt ? `Open until ${when(survey.closesAt)}` : 'Open, no close date';
+  }
+
+  function showSurveyWindow() {
+    const survey = knownSurveys[surveySelect.value];
+    surveyStateEl.hidden = !survey;
+    opensAtInput.value = survey ? toLocalInput(survey.opensAt) : '';
+    closesAtInput.value = survey ? toLocalInput(survey.closesAt) : '';
+    if (!survey) return;
+    surveyStateEl.className = `pill state-${survey.state}`;
+    surveyStateEl.textContent = surveyStateText(survey);
+  }
+
+  async function saveSurveyWindow(surveyId, dates) {
+    saveWindowBtn.disabled = true;
+    try {
+      const resp = await api(`/admin/surveys/${encodeURIComponent(surveyId)}`, {
+        method: 'PATCH',
+        json: dates
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Update failed');
+      }
+      Object.assign(knownSurveys[surveyId], data.survey);
+      setStatus(`Saved. ${surveyStateText(data.survey)}.`, 'success');
+    } catch (err) {
+      console.error(err);
+      setStatus('Survey dates error: ' + err.message, 'error');
+    } finally {
+      saveWindowBtn.disabled = false;
+      showSurveyWindow();
+    }
+  }
+
+  async function generateInvitations(surveyId, count) {
+    setStatus('Generating invitation codes…');
+    generateInvitesBtn.disabled = true;
+
+    try {
+      const base = `/admin/surveys/${encodeURIComponent(surveyId)}/invitations`;
+      const resp = await api(base, { method: 'POST', json: { count } });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Generate failed');
+      }
+      await downloadFile(`${base}.csv?batch=${data.batch}`, 'invitations.csv');
+      setStatus(
+        `Generated ${data.count} codes (batch ${data.batch}) and downloaded them.`,
+        'success'
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus('Invitation error: ' + err.message, 'error');
+    } finally {
+      generateInvitesBtn.disabled = false;
+    }
+  }
+
+  async function fetchSurveys() {
+    setStatus('Loading surveys…');
+
+    try {
+      const resp = await api('/admin/surveys');
+      if (resp.status === 401) return false;
+
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        setStatus(data.error || `Server error (${resp.status}).`, 'error');
+        return false;
+      }
+
+      const previous =
+        surveySelect.value ||
+        window.localStorage.getItem(SURVEY_STORAGE_KEY) ||
+        data.defaultSurveyId;
+
+      surveySelect.innerHTML = '';
+      knownSurveys = {};
+      for (const s of data.surveys || []) {
+        knownSurveys[s.id] = s;
+        const opt = document.createElement('option');
+        opt.value = s.id;
+        opt.textContent = `${s.title} (${s.totalSubmissions})`;
+        surveySelect.appendChild(opt);
+      }
+      surveySelect.disabled = !surveySelect.options.length;
+
+      const ids = (data.surveys || []).map(s => s.id);
+      if (ids.includes(previous)) surveySelect.value = previous;
+      showAccessMode();
+      showSurveyWindow();
+      return true;
+    } catch (err) {
+      console.error(err);
+      setStatus('Network error while loading surveys.', 'error');
+      return false;
+    }
+  }
+
+  async function fetchSummary(surveyId, cycle) {
+    setStatus('Loading summary…');
+    summaryCard.hidden = true;
+    analysisCard.hidden = true;
+    freeCard.hidden = true;
+    chartsCard.hidden = true;
+    trendCard.hidden = true;
+
+    try {
+      const base = `/admin/surveys/${encodeURIComponent(surveyId)}`;
+      const params = segmentParams();
+      if (compareSelect.value) params.set('compare', compareSelect.value);
+      const language = window.localStorage.getItem(LANGUAGE_STORAGE_KEY);
+      if (language) params.set('lang', language);
+      const url =
+        (cycle ? `${base}/cycles/${encodeURIComponent(cycle)}/summary` : `${base}/summary`) +
+        (params.toString() ? `?${params}` : '');
+      const resp = await api(url);
+
+      if (resp.status === 401) return;
+      if (resp.status === 403) {
+        setStatus('Forbidden: your account cannot view this summary.', 'error');
+        return;
+      }
+      if (resp.status === 400) {
+        const data = await resp.json().catch(() => ({}));
+        setStatus('Filter error: ' + (data.message || data.error), 'error');
+        return;
+      }
+      if (!resp.ok) {
+        setStatus(`Server error (${resp.status}).`, 'error');
+        return;
+      }
+
+      const data = await resp.json();
+      if (!data.ok) {
+        setStatus(data.error || 'Unknown error from server.', 'error');
+        return;
+      }
+
+      const summary = data.summary;
+      useDefinition(summary.definition);
+      renderLanguages(summary);
+      renderSegment(summary);
+
+      renderSummary(summary);
+      renderFunnel(summary.funnel);
+      renderLanguageBreakdown(summary.byLanguage);
+      renderAnalysis(summary.textAnalysis);
+      showFreeText(surveyId, cycle, summary.freeText || {});
+      renderCharts(summary);
+      renderTrends(summary.comparison);
+
+      setStatus(
+        'Summary loaded. Use "Board report (PDF)" for a printable copy.',
+        'success'
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus('Network error while loading summary.', 'error');
+    }
+  }
+
+  // Fetch a download through api() and hand it to the browser under the
+  // server's filename (survey, cycle and export kind)
+  async function downloadFile(url, fallbackName) {
+    const resp = await api(url);
+    if (!resp.ok) {
+      const data = await resp.json().catch(() => ({}));
+      throw new Error(data.error || `Server error (${resp.status})`);
+    }
+
+    const disposition = resp.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await resp.blob();
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    return link.download;
+  }
+
+  async function downloadExport(surveyId, cycle, btn) {
+    const file = btn.dataset.export;
+    setStatus(`Preparing ${file}…`);
+    btn.disabled = true;
+
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(surveyId)}/export/${file}` +
+        (cycle ? `?cycle=${encodeURIComponent(cycle)}` : '');
+      const name = await downloadFile(url, file);
+      setStatus(`Downloaded ${name}.`, 'success');
+    } catch (err) {
+      console.error(err);
+      setStatus('Export error: ' + err.message, 'error');
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  const QUARANTINE_REASONS = {
+    honeypot: 'Filled in the hidden field',
+    too_fast: 'Sent too soon after opening'
+  };
+
+  async function fetchQuarantine(surveyId) {
+    try {
+      const url = `/admin/surveys/${encodeURIComponent(surveyId)}/quarantine`;
+      const resp = await api(url);
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) return;
+      renderQuarantine(surveyId, data.submissions || []);
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function renderQuarantine(surveyId, submissions) {
+    quarantineContent.innerHTML = '';
+    quarantineCard.hidden = !submissions.length;
+    if (!submissions.length) return;
+
+    const table = document.createElement('table');
+    table.className = 'audit-table';
+    const head = table.createTHead().insertRow();
+    ['Received', 'Cycle', 'Why held', 'Answers', ''].forEach((h) => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    const tbody = table.createTBody();
+
+    for (const sub of submissions) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = new Date(sub.submittedAt).toLocaleString();
+      row.insertCell().textContent = sub.cycle || 'Active';
+      row.insertCell().textContent = QUARANTINE_REASONS[sub.reason] || sub.reason;
+
+      const answers = Object.entries(sub.payload || {});
+      const details = document.createElement('details');
+      const summary = document.createElement('summary');
+      summary.textContent = `${answers.length} answers`;
+      details.appendChild(summary);
+      const list = document.createElement('div');
+      list.className = 'audit-details';
+      list.textContent = answers.map(([k, v]) => `${k}: ${v}`).join(' · ');
+      details.appendChild(list);
+      row.insertCell().appendChild(details);
+
+      const actions = row.insertCell();
+      actions.className = 'review-actions';
+      for (const decision of ['accept', 'reject']) {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = decision === 'accept' ? 'Accept' : 'Reject';
+        if (decision === 'reject') btn.className = 'reject';
+        btn.addEventListener('click', () =>
+          reviewQuarantined(surveyId, sub.id, decision)
+        );
+        actions.appendChild(btn);
+      }
+    }
+    quarantineContent.appendChild(table);
+  }
+
+  async function reviewQuarantined(surveyId, submissionId, decision) {
+    if (
+      decision === 'reject' &&
+      !window.confirm('Delete this held response permanently?')
+    ) {
+      return;
+    }
+
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(surveyId)}/quarantine/${submissionId}`;
+      const resp = await api(url, { method: 'POST', json: { decision } });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Review failed');
+      }
+      setStatus(
+        decision === 'accept'
+          ? 'Response accepted and added to the results.'
+          : 'Response rejected and deleted.',
+        'success'
+      );
+      if (decision === 'accept') {
+        await fetchCycles(surveyId);
+        fetchSummary(surveyId, cycleSelect.value);
+      }
+      fetchQuarantine(surveyId);
+    } catch (err) {
+      console.error(err);
+      setStatus('Review error: ' + err.message, 'error');
+    }
+  }
+
+  function clearResults() {
+    segmentCard.hidden = true;
+    responseCard.hidden = true;
+    responseTable.innerHTML = '';
+    if (responseChart) responseChart.destroy();
+    responseChart = null;
+    funnelCard.hidden = true;
+    funnelTable.innerHTML = '';
+    languageRow.hidden = true;
+    languageCard.hidden = true;
+    languageTable.innerHTML = '';
+    quarantineCard.hidden = true;
+    quarantineContent.innerHTML = '';
+    summaryCard.hidden = true;
+    freeCard.hidden = true;
+    chartsCard.hidden = true;
+    trendCard.hidden = true;
+    summaryContent.innerHTML = '';
+    analysisCard.hidden = true;
+    analysisContent.innerHTML = '';
+    freeContent.innerHTML = '';
+    themeContent.innerHTML = '';
+    freeMoreBtn.hidden = true;
+    freeTarget = null;
+    freeComments = [];
+    chartsGrid.innerHTML = '';
+    trendTable.innerHTML = '';
+    trendGrid.innerHTML = '';
+    window.__rhCharts.forEach(ch => ch.destroy());
+    window.__rhCharts = [];
+  }
+
+  async function closeCycle(surveyId, label) {
+    setStatus('Closing cycle…');
+    closeCycleBtn.disabled = true;
+
+    try {
+      const url = `/admin/surveys/${encodeURIComponent(surveyId)}/cycles`;
+      const resp = await api(url, { method: 'POST', json: { label } });
+      const data = await resp.json().catch(() => ({}));
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Close failed');
+      }
+
+      clearResults();
+      cycleSelect.value = '';
+      await loadCyclesAndSummary();
+      setStatus(
+        `Cycle "${data.cycle.label}" closed with ${data.cycle.submissionCount} ` +
+        'archived responses. New responses go into a fresh cycle.',
+        'success'
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus('Close cycle error: ' + err.message, 'error');
+      window.alert('Closing the cycle failed: ' + err.message);
+    } finally {
+      closeCycleBtn.disabled = false;
+    }
+  }
+
+  async function deleteCycle(surveyId, label) {
+    setStatus('Deleting archived cycle…');
+    deleteCycleBtn.disabled = true;
+
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(surveyId)}/cycles/${encodeURIComponent(label)}` +
+        `?confirm=${encodeURIComponent(label)}`;
+      const resp = await api(url, { method: 'DELETE' });
+      const data = await resp.json().catch(() => ({}));
+
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Delete failed');
+      }
 
-    // fallback: title-case the base key
-    return base
-      .replace(/_/g, ' ')
-      .replace(/\b\w/g, c => c.toUpperCase());
+      clearResults();
+      cycleSelect.value = '';
+      await loadCyclesAndSummary();
+      setStatus(
+        `Cycle "${label}" deleted (${data.deletedSubmissions} responses).`,
+        'success'
+      );
+    } catch (err) {
+      console.error(err);
+      setStatus('Delete error: ' + err.message, 'error');
+    } finally {
+      deleteCycleBtn.disabled = false;
+    }
   }
 
-  function parseQuestionMeta(key) {
-    let buildingLabel = 'All / N/A';
-    let base = key;
-
-    if (key.endsWith('_elem')) {
-      buildingLabel = 'Elementary';
-      base = key.replace(/_elem$/, '');
-    } else if (key.endsWith('_ms')) {
-      buildingLabel = 'Middle School';
-      base = key.replace(/_ms$/, '');
-    } else if (key.endsWith('_hs')) {
-      buildingLabel = 'High School';
-      base = key.replace(/_hs$/, '');
-    }
-
-    const prefix = base.split('_')[0]; // community, comm, success, advocacy, decision, safety
-    const categoryMap = {
-      community: 'School Community',
-      comm: 'Communicating Effectively',
-      communication: 'Communicating Effectively',
-      success: 'Supporting Student Success',
-      advocacy: 'Speaking Up for Every Child',
-      decision: 'Decision Making',
-      safety: 'School Safety'
-    };
-
-    const categoryLabel = categoryMap[prefix] || 'Other';
-    return { categoryLabel, buildingLabel };
+  async function fetchRedactionNames() {
+    try {
+      const resp = await api('/admin/redaction/names');
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) return;
+      renderRedactionNames(data.names || []);
+    } catch (err) {
+      console.error(err);
+    }
   }
 
-  // ---------- Event handlers ----------
-
-  loadBtn.addEventListener('click', () => {
-    const token = tokenInput.value.trim();
-    if (!token) {
-      setStatus('Please enter a token.', 'error');
+  function renderRedactionNames(names) {
+    redactionNames.innerHTML = '';
+    if (!names.length) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No names yet.';
+      redactionNames.appendChild(empty);
       return;
     }
-    window.localStorage.setItem(STORAGE_KEY, token);
-    fetchSummary(token);
-  });
-
-  tokenInput.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') loadBtn.click();
-  });
+    const box = document.createElement('div');
+    box.className = 'comment-coding';
+    for (const entry of names) {
+      const chip = document.createElement('span');
+      chip.className = 'pill';
+      chip.textContent = entry.name;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = 'Stop redacting this name';
+      remove.addEventListener('click', () => removeRedactionName(entry));
+      chip.appendChild(remove);
+      box.appendChild(chip);
+    }
+    redactionNames.appendChild(box);
+  }
 
-  resetBtn.addEventListener('click', () => {
-    const token = tokenInput.value.trim();
-    if (!token) {
-      setStatus('Enter the admin token before resetting.', 'error');
-      return;
+  async function addRedactionNames(names) {
+    try {
+      const resp = await api('/admin/redaction/names', {
+        method: 'POST',
+        json: { names }
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Request failed');
+      }
+      redactionInput.value = '';
+      setStatus(`Added ${data.added} name${data.added === 1 ? '' : 's'} to redact.`, 'success');
+      fetchRedactionNames();
+      fetchComments(false);
+    } catch (err) {
+      console.error(err);
+      setStatus('Redaction error: ' + err.message, 'error');
     }
+  }
 
-    const confirmed = window.confirm(
-      'This will permanently delete ALL stored submissions for this survey.\n\n' +
-      'Use this only at the beginning of a new survey year.\n\n' +
-      'Are you sure you want to continue?'
+  async function removeRedactionName(entry) {
+    const ok = window.confirm(
+      `Stop redacting "${entry.name}"? New comments and comments redacted ` +
+        'only on display will show it; comments redacted when submitted stay ' +
+        'redacted.'
     );
-    if (!confirmed) return;
-
-    resetAllResponses(token);
-  });
-
-  // ---------- Backend calls ----------
-
-  async function fetchSummary(token) {
-    setStatus('Loading summary…');
-    summaryCard.hidden = true;
-    freeCard.hidden = true;
-    chartsCard.hidden = true;
-
+    if (!ok) return;
     try {
-      const url = `/admin/summary?token=${encodeURIComponent(token)}`;
-      const resp = await fetch(url, { method: 'GET' });
-
-      if (resp.status === 403) {
-        setStatus('Forbidden: token is incorrect.', 'error');
-        return;
-      }
-      if (!resp.ok) {
-        setStatus(`Server error (${resp.status}).`, 'error');
-        return;
+      const resp = await api(`/admin/redaction/names/${entry.id}`, { method: 'DELETE' });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Request failed');
       }
+      setStatus('Name removed from the redaction list.', 'success');
+      fetchRedactionNames();
+      fetchComments(false);
+    } catch (err) {
+      console.error(err);
+      setStatus('Redaction error: ' + err.message, 'error');
+    }
+  }
 
-      const data = await resp.json();
-      if (!data.ok) {
-        setStatus(data.error || 'Unknown error from server.', 'error');
-        return;
-      }
+  async function fetchWebhooks() {
+    try {
+      const [targetsResp, failedResp] = await Promise.all([
+        api('/admin/webhooks'),
+        api('/admin/webhooks/deliveries?status=dead&limit=50')
+      ]);
+      const targets = await targetsResp.json().catch(() => ({}));
+      const failed = await failedResp.json().catch(() => ({}));
+      if (!targets.ok || !failed.ok) return;
+      renderWebhooks(targets.targets || [], failed.deliveries || []);
+    } catch (err) {
+      console.error(err);
+    }
+  }
 
-      const summary = data.summary;
+  function renderWebhooks(targets, failed) {
+    webhookTargets.innerHTML = '';
+    webhookFailed.innerHTML = '';
+
+    if (!targets.length) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No forwarding destinations are configured.';
+      webhookTargets.appendChild(empty);
+    } else {
+      const table = document.createElement('table');
+      table.className = 'audit-table';
+      const head = table.createTHead().insertRow();
+      ['Destination', 'Surveys', 'Waiting', 'Delivered', 'Failed'].forEach((h) => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        head.appendChild(th);
+      });
+      const tbody = table.createTBody();
+      for (const t of targets) {
+        const row = tbody.insertRow();
+        row.insertCell().textContent =
+          t.name + (t.enabled ? '' : ' (paused)');
+        row.insertCell().textContent = t.surveys ? t.surveys.join(', ') : 'All';
+        row.insertCell().textContent = t.deliveries.pending;
+        row.insertCell().textContent = t.deliveries.delivered;
+        row.insertCell().textContent = t.deliveries.dead;
+      }
+      webhookTargets.appendChild(table);
+    }
 
-      renderSummary(summary);
-      renderFreeText(summary.freeText || {});
-      renderCharts(summary);
+    webhookReplayAllBtn.hidden = !failed.length;
+    if (!failed.length) return;
+
+    const heading = document.createElement('h3');
+    heading.textContent = 'Failed deliveries';
+    webhookFailed.appendChild(heading);
+    const table = document.createElement('table');
+    table.className = 'audit-table';
+    const head = table.createTHead().insertRow();
+    ['Created', 'Destination', 'Survey', 'Attempts', 'Last error', ''].forEach((h) => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    const tbody = table.createTBody();
+    for (const d of failed) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = new Date(d.createdAt).toLocaleString();
+      row.insertCell().textContent = d.target;
+      row.insertCell().textContent = d.surveyId;
+      row.insertCell().textContent = d.attempts;
+      const error = row.insertCell();
+      error.className = 'audit-details';
+      error.textContent = d.lastError || '';
+      const actions = row.insertCell();
+      actions.className = 'review-actions';
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = 'Retry';
+      btn.addEventListener('click', () => replayDeliveries({ ids: [d.id] }));
+      actions.appendChild(btn);
+    }
+    webhookFailed.appendChild(table);
+  }
 
+  async function replayDeliveries(body) {
+    try {
+      const resp = await api('/admin/webhooks/deliveries/replay', {
+        method: 'POST',
+        json: body
+      });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Retry failed');
+      }
       setStatus(
-        'Summary loaded. You can print this page with Ctrl+P / ⌘+P.',
+        `${data.replayed} deliveries queued again; they go out within a few seconds.`,
         'success'
       );
+      fetchWebhooks();
     } catch (err) {
       console.error(err);
-      setStatus('Network error while loading summary.', 'error');
+      setStatus('Retry error: ' + err.message, 'error');
     }
   }
 
-  async function resetAllResponses(token) {
-    setStatus('Sending reset request…');
-    resetBtn.disabled = true;
+  // Cursor for "Load more": id of the oldest entry shown so far
+  let activityBefore = null;
+
+  async function fetchActivity(more) {
+    const params = new URLSearchParams();
+    if (activityAction.value) params.set('action', activityAction.value);
+    if (activityActor.value.trim()) params.set('actor', activityActor.value.trim());
+    // Date inputs are local days; send the whole day as an instant range
+    if (activityFrom.value) {
+      params.set('from', new Date(`${activityFrom.value}T00:00:00`).toISOString());
+    }
+    if (activityTo.value) {
+      params.set('to', new Date(`${activityTo.value}T23:59:59.999`).toISOString());
+    }
+    if (more && activityBefore) params.set('before', activityBefore);
 
+    activityMoreBtn.disabled = true;
     try {
-      const url = `/admin/reset?token=${encodeURIComponent(token)}`;
-      const resp = await fetch(url, { method: 'GET' });
+      const resp = await api(`/admin/audit?${params}`);
       const data = await resp.json().catch(() => ({}));
-
       if (!resp.ok || !data.ok) {
-        throw new Error(data.error || 'Reset failed');
+        throw new Error(data.message || data.error || 'Request failed');
       }
-
-      setStatus('All submissions cleared. Reload summary after new responses arrive.', 'success');
-      summaryCard.hidden = true;
-      freeCard.hidden = true;
-      chartsCard.hidden = true;
-      summaryContent.innerHTML = '';
-      freeContent.innerHTML = '';
-      chartsGrid.innerHTML = '';
-      window.__rhCharts.forEach(ch => ch.destroy());
-      window.__rhCharts = [];
-      window.alert('All submissions have been cleared successfully.');
+      renderActivity(data.entries, more);
+      activityBefore = data.nextBefore;
+      activityMoreBtn.hidden = !data.nextBefore;
     } catch (err) {
       console.error(err);
-      setStatus('Reset error: ' + err.message, 'error');
-      window.alert('Reset failed: ' + err.message);
+      setStatus('Activity error: ' + err.message, 'error');
     } finally {
-      resetBtn.disabled = false;
+      activityMoreBtn.disabled = false;
+    }
+  }
+
+  function renderActivity(entries, append) {
+    let tbody = activityContent.querySelector('tbody');
+    if (!append || !tbody) {
+      activityContent.innerHTML = '';
+      if (!entries.length) {
+        const empty = document.createElement('p');
+        empty.textContent = 'No matching activity.';
+        activityContent.appendChild(empty);
+        return;
+      }
+      const table = document.createElement('table');
+      table.className = 'audit-table';
+      const head = table.createTHead().insertRow();
+      ['When', 'Who', 'Action', 'Survey', 'Target', 'Details'].forEach((h) => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        head.appendChild(th);
+      });
+      tbody = table.createTBody();
+      activityContent.appendChild(table);
+    }
+
+    const actionLabels = {};
+    Array.from(activityAction.options).forEach((opt) => {
+      if (opt.value) actionLabels[opt.value] = opt.textContent;
+    });
+
+    for (const entry of entries) {
+      const row = tbody.insertRow();
+      const details = Object.entries(entry.details || {})
+        .map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(', ') : v}`)
+        .join(' · ');
+      [
+        new Date(entry.at).toLocaleString(),
+        entry.actor || '—',
+        actionLabels[entry.action] || entry.action,
+        entry.surveyId || '',
+        entry.target || '',
+        details
+      ].forEach((text, i) => {
+        const cell = row.insertCell();
+        cell.textContent = text;
+        if (i === 5) cell.className = 'audit-details';
+      });
     }
   }
 
   // ---------- Summary rendering ----------
 
+  // Category and building averages pool every scale on the 1–5 range,
+  // rescaling answers to other ranges (the server pools the same way)
+  const POOLED_SCALE = { min: 1, max: 5 };
+  const POOLED_AXIS_LABEL = 'Average score (1–5)';
+
+  function scaleRange(q) {
+    return { min: q.min ?? 1, max: q.max ?? 5 };
+  }
+
+  function toPooledScale(value, { min, max }) {
+    return (
+      POOLED_SCALE.min +
+      ((value - min) * (POOLED_SCALE.max - POOLED_SCALE.min)) / (max - min)
+    );
+  }
+
+  // Sum of a question's answers once rescaled to the pooled range
+  function pooledSum(q) {
+    const responses = Number(q.responses) || 0;
+    if (!responses) return 0;
+    const average = (Number(q.sum) || 0) / responses;
+    return responses * toPooledScale(average, scaleRange(q));
+  }
+
   function renderSummary(summary) {
     summaryCard.hidden = false;
 
     const total = summary.totalSubmissions || 0;
     summaryMeta.innerHTML = `
       <span><strong>${total}</strong> total submissions</span>
-      <span>Survey ID: <code>${summary.surveyId}</code></span>
+      <span>Survey: <strong></strong></span>
+      <span>Survey ID: <code></code></span>
+      <span>Cycle: <strong></strong></span>
    `;
+    summaryMeta.querySelector('span:nth-child(4) strong').textContent =
+      summary.cycle ? `${summary.cycle} (archived)` : 'Active';
+
+    if (summary.scope) {
+      const labels = summary.scope.map((id) => {
+        const b = ((summary.definition && summary.definition.buildings) || [])
+          .find(x => x.id === id);
+        return b ? b.label : id;
+      });
+      const span = document.createElement('span');
+      span.textContent = `Limited to: ${labels.join(', ')}`;
+      summaryMeta.appendChild(span);
+    }
+    summaryMeta.querySelector('span:nth-child(2) strong').textContent =
+      summary.surveyTitle || summary.surveyId;
+    summaryMeta.querySelector('code').textContent = summary.surveyId;
+
+    const hidden = suppressionText(summary.suppression);
+    if (hidden) {
+      const span = document.createElement('span');
+      span.className = 'suppressed';
+      span.textContent = hidden;
+      summaryMeta.appendChild(span);
+    }
 
     const questions = Object.values(summary.questions || {});
     if (!questions.length) {
-      summaryContent.innerHTML = '<p>No scale-question data yet.</p>';
+      summaryContent.innerHTML = '<p>No question data yet.</p>';
       return;
     }
 
@@ -307,11 +1456,7 @@
       groups.get(groupKey).questions.push(q);
     }
 
-    const groupList = Array.from(groups.values()).sort((a, b) => {
-      const c = a.categoryLabel.localeCompare(b.categoryLabel);
-      if (c !== 0) return c;
-      return a.buildingLabel.localeCompare(b.buildingLabel);
-    });
+    const groupList = Array.from(groups.values()).sort(compareGroups);
 
     const container = document.createElement('div');
     container.className = 'grid';
@@ -353,6 +1498,18 @@
     label.textContent = prettyQuestionLabel(q.key);
     wrapper.appendChild(label);
 
+    if (q.suppressed) {
+      const note = document.createElement('div');
+      note.className = 'question-stats suppressed';
+      note.textContent = q.note;
+      wrapper.appendChild(note);
+      return wrapper;
+    }
+    if (q.type && q.type !== 'scale') {
+      renderAnswerRow(wrapper, q);
+      return wrapper;
+    }
+
     const barRow = document.createElement('div');
     barRow.className = 'bar-row';
 
@@ -360,81 +1517,1034 @@
     barTrack.className = 'bar-track';
 
     const counts = q.counts || {};
-    const maxCount = Math.max(1, ...[1, 2, 3, 4, 5].map((k) => counts[k] || 0));
+    const range = scaleRange(q);
+    const scores = [];
+    for (let score = range.min; score <= range.max; score++) scores.push(score);
+    const maxCount = Math.max(1, ...scores.map((k) => counts[k] || 0));
 
-    [1, 2, 3, 4, 5].forEach((score) => {
+    scores.forEach((score) => {
       const count = counts[score] || 0;
       const segment = document.createElement('div');
-      segment.className = `bar bar-${score}`;
+      // bar-1 (lowest) to bar-5 (highest), whatever the question's range
+      segment.className = `bar bar-${Math.round(toPooledScale(score, range))}`;
       const pct = (count / maxCount) * 100;
       segment.style.width = `${pct}%`;
       barTrack.appendChild(segment);
     });
 
-    const barLabel = document.createElement('div');
-    barLabel.className = 'bar-label';
+    const barLabel = document.createElement('div');
+    barLabel.className = 'bar-label';
+
+    const avg =
+      typeof q.average === 'number'
+        ? q.average.toFixed(2)
+        : '–';
+
+    const outOf =
+      range.min === POOLED_SCALE.min && range.max === POOLED_SCALE.max
+        ? ''
+        : ` (${range.min}–${range.max})`;
+    barLabel.textContent = `${q.responses || 0} resp · avg ${avg}${outOf}`;
+
+    barRow.appendChild(barTrack);
+    barRow.appendChild(barLabel);
+
+    wrapper.appendChild(barRow);
+
+    const details = [
+      typeof q.median === 'number' ? `median ${formatStat(q.median)}` : null,
+      typeof q.sd === 'number' ? `SD ${q.sd.toFixed(2)}` : null,
+      typeof q.favorable === 'number' ? `${Math.round(q.favorable)}% favorable` : null,
+      typeof q.unfavorable === 'number' ? `${Math.round(q.unfavorable)}% unfavorable` : null,
+      q.ci95 ? `95% CI ${formatInterval(q.ci95)}` : null,
+      q.na ? `${q.na} N/A` : null
+    ].filter(Boolean);
+    if (details.length || q.vsDistrict) {
+      const stats = document.createElement('div');
+      stats.className = 'question-stats';
+      stats.textContent = details.join(' · ');
+      const flag = significanceText(q.vsDistrict);
+      if (flag) {
+        const mark = document.createElement('span');
+        mark.className = q.vsDistrict.difference > 0 ? 'delta-up' : 'delta-down';
+        mark.textContent = `${details.length ? ' · ' : ''}${flag}`;
+        mark.title =
+          `District (other buildings) avg ${q.vsDistrict.average.toFixed(2)}, ` +
+          `n=${q.vsDistrict.responses}; p = ${formatP(q.vsDistrict.p)}`;
+        stats.appendChild(mark);
+      }
+      wrapper.appendChild(stats);
+    }
+    return wrapper;
+  }
+
+  // ---------- Answer breakdowns ----------
+
+  const ANSWER_COLORS = [
+    '#c4b5fd', '#93c5fd', '#86efac', '#fde68a',
+    '#fca5a5', '#f9a8d4', '#5eead4', '#fdba74'
+  ];
+  const NPS_GROUPS = [
+    { key: 'detractors', label: 'Detractors (0–6)', color: '#fca5a5' },
+    { key: 'passives', label: 'Passives (7–8)', color: '#fde68a' },
+    { key: 'promoters', label: 'Promoters (9–10)', color: '#86efac' }
+  ];
+
+  // Answers of a choice, yes/no or multi question in option order:
+  // [{ label, count, percent, color }]
+  function answerParts(q) {
+    const meta = keyIndex[q.key];
+    const labels = new Map(
+      ((meta && meta.options) || []).map(o => [String(o.value), o.label])
+    );
+    return Object.entries(q.counts || {}).map(([value, count], i) => ({
+      label:
+        labels.get(value) ||
+        (q.type === 'yesno' ? (value === 'yes' ? 'Yes' : 'No') : value),
+      count,
+      percent: q.percents ? q.percents[value] : null,
+      color: ANSWER_COLORS[i % ANSWER_COLORS.length]
+    }));
+  }
+
+  function npsParts(q) {
+    return NPS_GROUPS.map(g => ({
+      label: g.label,
+      count: null,
+      percent: q[g.key],
+      color: g.color
+    }));
+  }
+
+  function formatPercent(value) {
+    return typeof value === 'number' ? `${Math.round(value)}%` : '–';
+  }
+
+  function formatNps(value) {
+    if (typeof value !== 'number') return '–';
+    const rounded = Math.round(value);
+    return rounded > 0 ? `+${rounded}` : String(rounded);
+  }
+
+  // Choice and yes/no: one stacked bar of the shares. NPS: the same for
+  // detractors, passives and promoters. Multi: a bar per option, since a
+  // respondent can pick several. Then a percentage table either way.
+  function renderAnswerRow(wrapper, q) {
+    const parts = q.type === 'nps' ? npsParts(q) : answerParts(q);
+
+    const barRow = document.createElement('div');
+    barRow.className = 'bar-row';
+    const barLabel = document.createElement('div');
+    barLabel.className = 'bar-label';
+    barLabel.textContent =
+      q.type === 'nps'
+        ? `${q.responses || 0} resp · NPS ${formatNps(q.nps)}`
+        : `${q.responses || 0} resp`;
+
+    if (q.type !== 'multi') {
+      const barTrack = document.createElement('div');
+      barTrack.className = 'bar-track';
+      for (const part of parts) {
+        const segment = document.createElement('div');
+        segment.className = 'bar';
+        segment.style.width = `${part.percent || 0}%`;
+        segment.style.background = part.color;
+        segment.title = `${part.label}: ${formatPercent(part.percent)}`;
+        barTrack.appendChild(segment);
+      }
+      barRow.appendChild(barTrack);
+    } else {
+      // the per-option bars are in the table below
+      const spacer = document.createElement('div');
+      spacer.style.flex = '1';
+      barRow.appendChild(spacer);
+    }
+    barRow.appendChild(barLabel);
+    wrapper.appendChild(barRow);
+
+    const table = document.createElement('table');
+    table.className = 'answer-table';
+    for (const part of parts) {
+      const row = table.insertRow();
+      const name = row.insertCell();
+      const swatch = document.createElement('span');
+      swatch.className = 'answer-swatch';
+      swatch.style.background = part.color;
+      name.appendChild(swatch);
+      name.appendChild(document.createTextNode(part.label));
+      if (q.type === 'multi') {
+        const track = document.createElement('div');
+        track.className = 'bar-track';
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.width = `${part.percent || 0}%`;
+        bar.style.background = part.color;
+        track.appendChild(bar);
+        row.insertCell().appendChild(track);
+      }
+      row.insertCell().textContent = formatPercent(part.percent);
+      row.insertCell().textContent = part.count == null ? '' : part.count;
+    }
+    wrapper.appendChild(table);
+
+    const details = [
+      q.type === 'nps' && typeof q.average === 'number'
+        ? `avg ${q.average.toFixed(1)} of 10`
+        : null,
+      q.type === 'multi' ? 'percent of respondents; may add to over 100%' : null,
+      q.na ? `${q.na} N/A` : null
+    ].filter(Boolean);
+    if (details.length) {
+      const stats = document.createElement('div');
+      stats.className = 'question-stats';
+      stats.textContent = details.join(' · ');
+      wrapper.appendChild(stats);
+    }
+  }
+
+  // ---------- Statistics ----------
+
+  // Summary line for the cells the server withheld, or '' for none
+  function suppressionText(suppression) {
+    if (!suppression || suppression.minCellSize < 2) return '';
+    const fewer = `fewer than ${suppression.minCellSize} responses`;
+    if (suppression.all) return `All results hidden: ${fewer}`;
+    if (!suppression.buildings.length) return '';
+    return `Hidden (${fewer}): ${suppression.buildings.join(', ')}`;
+  }
+
+  function formatStat(value) {
+    return Number.isInteger(value) ? String(value) : value.toFixed(1);
+  }
+
+  function formatInterval([low, high]) {
+    return `${low.toFixed(2)}–${high.toFixed(2)}`;
+  }
+
+  function formatP(p) {
+    return p < 0.001 ? '< 0.001' : p.toFixed(3);
+  }
+
+  // "↑ above district" when a building differs significantly from the
+  // other buildings, otherwise ''
+  function significanceText(vs) {
+    if (!vs || !vs.significant) return '';
+    return vs.difference > 0 ? '↑ above district' : '↓ below district';
+  }
+
+  // Tooltip lines for a chart bar from a summary.statistics group
+  function statLines(stats) {
+    if (!stats) return [];
+    const lines = [`n = ${stats.responses}`];
+    if (typeof stats.median === 'number') {
+      lines.push(
+        `Median ${formatStat(stats.median)}` +
+          (typeof stats.sd === 'number' ? ` · SD ${stats.sd.toFixed(2)}` : '')
+      );
+    }
+    if (typeof stats.favorable === 'number') {
+      lines.push(
+        `${Math.round(stats.favorable)}% favorable · ` +
+          `${Math.round(stats.unfavorable)}% unfavorable`
+      );
+    }
+    if (stats.ci95) lines.push(`95% CI ${formatInterval(stats.ci95)}`);
+    if (stats.vsDistrict) {
+      const vs = stats.vsDistrict;
+      const d = `${vs.difference > 0 ? '+' : ''}${vs.difference.toFixed(2)}`;
+      lines.push(
+        `${d} vs other buildings (p = ${formatP(vs.p)})` +
+          (vs.significant ? ` ${significanceText(vs)}` : '')
+      );
+    }
+    return lines;
+  }
+
+  // ---------- Response rate ----------
+
+  // Kept apart from window.__rhCharts, which renderCharts() clears
+  let responseChart = null;
+  let responseTarget = null;
+
+  async function fetchResponses(surveyId, cycle) {
+    const params = new URLSearchParams();
+    if (cycle) params.set('cycle', cycle);
+    params.set('tz', Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC');
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(surveyId)}/responses?${params}`;
+      const resp = await api(url);
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Request failed');
+      }
+      responseTarget = { surveyId, cycle };
+      renderResponses(data);
+    } catch (err) {
+      console.error(err);
+      setStatus('Response rate error: ' + err.message, 'error');
+    }
+  }
+
+  function formatDay(day) {
+    return new Date(`${day}T00:00:00`).toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  }
+
+  function formatRate(rate) {
+    return typeof rate === 'number' ? `${Math.round(rate * 100)}%` : '–';
+  }
+
+  function projectionText(node) {
+    if (node.projectedDate) return formatDay(node.projectedDate);
+    if (node.families && node.responses >= node.families) return 'Target reached';
+    return '–';
+  }
+
+  function renderResponses(data) {
+    responseCard.hidden = false;
+
+    const overall = data.overall;
+    const facts = [`${data.total} submission${data.total === 1 ? '' : 's'}`];
+    if (overall.families) {
+      facts.push(
+        `${formatRate(overall.rate)} of ${overall.families} families ` +
+          '(buildings with a target)'
+      );
+    }
+    if (data.pace) {
+      facts.push(
+        `${data.pace.perDay.toFixed(1)} per day over the last ` +
+          `${data.pace.days} day${data.pace.days === 1 ? '' : 's'}`
+      );
+    }
+    if (overall.families) facts.push(`Projected: ${projectionText(overall)}`);
+    responseMeta.innerHTML = '';
+    facts.forEach((text) => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      responseMeta.appendChild(span);
+    });
+
+    if (responseChart) responseChart.destroy();
+    responseChart = null;
+    responseCanvas.parentElement.hidden = !data.daily.length;
+    if (typeof Chart !== 'undefined' && data.daily.length) {
+      responseChart = new Chart(responseCanvas.getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: data.daily.map(d => formatDay(d.date)),
+          datasets: [
+            {
+              label: 'Submissions (cumulative)',
+              data: data.daily.map(d => d.cumulative),
+              borderColor: 'rgba(76, 29, 149, 0.9)',
+              backgroundColor: 'rgba(107, 70, 193, 0.15)',
+              fill: true,
+              tension: 0.2,
+              pointRadius: 2
+            }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            y: { beginAtZero: true, ticks: { precision: 0 } }
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                label: (ctx) =>
+                  `${ctx.parsed.y} total · ${data.daily[ctx.dataIndex].count} that day`
+              }
+            }
+          }
+        }
+      });
+    }
+
+    responseTable.innerHTML = '';
+    if (!data.buildings.length) return;
+    const editable = isDistrictAdmin();
+    const table = document.createElement('table');
+    table.className = 'audit-table';
+    const head = table.createTHead().insertRow();
+    ['Building', 'Families', 'Responses', 'Response rate', 'Projected'].forEach((h) => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    const tbody = table.createTBody();
+    for (const b of data.buildings) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = b.label;
+
+      const families = row.insertCell();
+      if (editable) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '1';
+        input.step = '1';
+        input.name = b.id;
+        input.placeholder = 'Families';
+        input.value = b.families || '';
+        families.appendChild(input);
+      } else {
+        families.textContent = b.families || '–';
+      }
+
+      row.insertCell().textContent = b.responses;
+
+      const rate = row.insertCell();
+      if (b.families) {
+        const bar = document.createElement('span');
+        bar.className = 'rate-bar';
+        const fill = document.createElement('span');
+        fill.style.width = `${Math.min(b.rate, 1) * 100}%`;
+        bar.appendChild(fill);
+        rate.appendChild(bar);
+      }
+      rate.appendChild(document.createTextNode(formatRate(b.rate)));
+
+      row.insertCell().textContent = projectionText(b);
+    }
+    responseTable.appendChild(table);
+  }
+
+  async function saveTargets() {
+    if (!responseTarget) return;
+    const targets = {};
+    responseTable.querySelectorAll('input').forEach((input) => {
+      const value = input.value.trim();
+      targets[input.name] = value === '' ? null : Number(value);
+    });
+    if (!Object.keys(targets).length) return;
+
+    const params = new URLSearchParams();
+    if (responseTarget.cycle) params.set('cycle', responseTarget.cycle);
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(responseTarget.surveyId)}/targets` +
+        (params.toString() ? `?${params}` : '');
+      const resp = await api(url, { method: 'PUT', json: { targets } });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Save failed');
+      }
+      setStatus('Targets saved.', 'success');
+      fetchResponses(responseTarget.surveyId, responseTarget.cycle);
+    } catch (err) {
+      console.error(err);
+      setStatus('Targets error: ' + err.message, 'error');
+    }
+  }
+
+  // ---------- Completion funnel ----------
+
+  // Sections in survey order: how many respondents got that far and how
+  // many stopped there. Not shown for segments (the server sends no funnel).
+  function renderFunnel(funnel) {
+    funnelTable.innerHTML = '';
+    funnelCard.hidden = !funnel || !funnel.started;
+    if (funnelCard.hidden) return;
+
+    funnelMeta.innerHTML = '';
+    [
+      `${funnel.started} started`,
+      `${funnel.submitted} submitted (${formatPercent(funnel.completionRate)})`,
+      `${funnel.inProgress} saved and still open`,
+      `${funnel.abandoned} abandoned`
+    ].forEach((text) => {
+      const span = document.createElement('span');
+      span.textContent = text;
+      funnelMeta.appendChild(span);
+    });
+
+    const table = document.createElement('table');
+    table.className = 'audit-table';
+    const head = table.createTHead().insertRow();
+    ['Section', 'Reached', 'Stopped here', 'Drop-off', 'Still open'].forEach((h) => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    const tbody = table.createTBody();
+    for (const section of funnel.sections) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = section.title;
+
+      const reached = row.insertCell();
+      const bar = document.createElement('span');
+      bar.className = 'rate-bar';
+      const fill = document.createElement('span');
+      fill.style.width = `${section.reachedRate || 0}%`;
+      bar.appendChild(fill);
+      reached.appendChild(bar);
+      reached.appendChild(
+        document.createTextNode(`${section.reached} (${formatPercent(section.reachedRate)})`)
+      );
+
+      row.insertCell().textContent = section.abandoned;
+      row.insertCell().textContent = formatPercent(section.dropOffRate);
+      row.insertCell().textContent = section.inProgress;
+    }
+    funnelTable.appendChild(table);
+  }
+
+  // ---------- Response languages ----------
+
+  // Languages the survey is offered in ([{ code, name }], its own language
+  // first) and the one the summary's text came back in
+  let surveyLanguages = [];
+  let shownLanguage = '';
+
+  function languageName(code) {
+    if (code === null) return 'Not recorded';
+    const language = surveyLanguages.find(l => l.code === code);
+    return language ? language.name : code;
+  }
+
+  // The "Show questions in" choice, for surveys offered in more than one
+  function renderLanguages(summary) {
+    const definition = summary.definition;
+    surveyLanguages = (definition && definition.languages) || [];
+    shownLanguage = definition ? definition.language : '';
+
+    languageSelect.innerHTML = '';
+    for (const language of surveyLanguages) {
+      const opt = document.createElement('option');
+      opt.value = language.code;
+      opt.textContent = language.name;
+      languageSelect.appendChild(opt);
+    }
+    languageSelect.value = shownLanguage;
+    languageRow.hidden = surveyLanguages.length < 2;
+  }
+
+  // One row per response language: respondents, their share and average
+  // rating overall and per section
+  function renderLanguageBreakdown(groups) {
+    languageTable.innerHTML = '';
+    languageCard.hidden = !groups || surveyLanguages.length < 2;
+    if (languageCard.hidden) return;
+
+    // Sections anyone answered rating questions in
+    const answered = groups.filter(g => !g.suppressed && g.submissions);
+    const sections = answered.length
+      ? answered[0].sections
+        .map(s => s.title)
+        .filter(title =>
+          answered.some(g => g.sections.some(s => s.title === title && s.responses))
+        )
+      : [];
+
+    const table = document.createElement('table');
+    table.className = 'audit-table';
+    const head = table.createTHead().insertRow();
+    ['Language', 'Responses', 'Share', 'Average', ...sections, ''].forEach((h) => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
+    });
+    const tbody = table.createTBody();
+    for (const group of groups) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = group.name;
+      if (group.suppressed) {
+        const note = row.insertCell();
+        note.colSpan = sections.length + 3;
+        note.textContent = `Hidden: ${group.note}`;
+      } else {
+        row.insertCell().textContent = group.submissions;
+        row.insertCell().textContent = formatPercent(group.share);
+        row.insertCell().textContent = formatAvg(group);
+        for (const title of sections) {
+          const section = group.sections.find(s => s.title === title);
+          row.insertCell().textContent = formatAvg(section || {});
+        }
+      }
+
+      const action = row.insertCell();
+      if (group.language === null || group.suppressed || !group.submissions) continue;
+      const only = document.createElement('button');
+      only.type = 'button';
+      only.className = 'export-button';
+      only.textContent = 'Show only';
+      only.disabled =
+        segment.languages.length === 1 && segment.languages[0] === group.language;
+      only.addEventListener('click', () => {
+        segment.languages = [group.language];
+        applySegment();
+      });
+      action.appendChild(only);
+    }
+    languageTable.appendChild(table);
+  }
+
+  // ---------- Respondent segments ----------
+
+  // Conditions sent with the summary and comments requests: answers per
+  // payload key (any of them), response languages and a submitted date range
+  let segment = { fields: {}, languages: [] };
+
+  function clearSegment() {
+    segment = { fields: {}, languages: [] };
+    segmentFrom.value = '';
+    segmentTo.value = '';
+  }
+
+  function segmentParams() {
+    const params = new URLSearchParams();
+    for (const [key, values] of Object.entries(segment.fields)) {
+      values.forEach(v => params.append(`filter[${key}]`, v));
+    }
+    segment.languages.forEach(code => params.append('responseLanguage', code));
+    // Date inputs are local days; send the whole day as an instant range
+    if (segmentFrom.value) {
+      params.set('from', new Date(`${segmentFrom.value}T00:00:00`).toISOString());
+    }
+    if (segmentTo.value) {
+      params.set('to', new Date(`${segmentTo.value}T23:59:59.999`).toISOString());
+    }
+    return params;
+  }
 
-    const avg =
-      typeof q.average === 'number'
-        ? q.average.toFixed(2)
-        : '–';
+  function applySegment() {
+    if (surveySelect.value) fetchSummary(surveySelect.value, cycleSelect.value);
+  }
 
-    barLabel.textContent = `${q.responses || 0} resp · avg ${avg}`;
+  // Answer choices a question can be filtered on, or null for free text
+  // and check-all-that-apply questions
+  function answerChoices(meta) {
+    let choices = null;
+    if (meta.type === 'choice') {
+      choices = (meta.options || []).map(o => ({ value: String(o.value), label: o.label }));
+    } else if (meta.type === 'yesno') {
+      choices = [{ value: 'yes', label: 'Yes' }, { value: 'no', label: 'No' }];
+    } else if (meta.type === 'scale' || meta.type === 'nps') {
+      choices = [];
+      const min = meta.type === 'nps' ? 0 : meta.min ?? 1;
+      const max = meta.type === 'nps' ? 10 : meta.max ?? 5;
+      for (let n = min; n <= max; n++) {
+        choices.push({ value: String(n), label: String(n) });
+      }
+    }
+    if (choices && meta.allowNA) choices.push({ value: 'na', label: 'N/A' });
+    return choices;
+  }
 
-    barRow.appendChild(barTrack);
-    barRow.appendChild(barLabel);
+  function fieldLabel(key) {
+    const meta = keyIndex[key];
+    if (!meta) return key;
+    return meta.buildingLabel === NO_BUILDING_LABEL
+      ? meta.text
+      : `${meta.text} (${meta.buildingLabel})`;
+  }
 
-    wrapper.appendChild(barRow);
-    return wrapper;
+  // Question list grouped by section; shown once the summary has a definition
+  function renderSegment(summary) {
+    segmentCard.hidden = !summary.definition;
+    if (segmentCard.hidden) return;
+
+    const previous = segmentField.value;
+    segmentField.innerHTML = '<option value="">Choose a question…</option>';
+    const groups = {};
+    for (const [key, meta] of Object.entries(keyIndex)) {
+      if (!answerChoices(meta)) continue;
+      if (!groups[meta.categoryLabel]) {
+        groups[meta.categoryLabel] = document.createElement('optgroup');
+        groups[meta.categoryLabel].label = meta.categoryLabel;
+        segmentField.appendChild(groups[meta.categoryLabel]);
+      }
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = fieldLabel(key);
+      groups[meta.categoryLabel].appendChild(opt);
+    }
+    segmentField.value = keyIndex[previous] ? previous : '';
+    renderSegmentValues();
+
+    segmentChips.innerHTML = '';
+    for (const [key, values] of Object.entries(segment.fields)) {
+      const choices = keyIndex[key] ? answerChoices(keyIndex[key]) || [] : [];
+      const labels = values.map(v => {
+        const choice = choices.find(c => c.value === v);
+        return choice ? choice.label : v;
+      });
+      const chip = document.createElement('span');
+      chip.className = 'pill';
+      chip.textContent = `${fieldLabel(key)}: ${labels.join(' or ')}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = 'Remove this condition';
+      remove.addEventListener('click', () => {
+        delete segment.fields[key];
+        applySegment();
+      });
+      chip.appendChild(remove);
+      segmentChips.appendChild(chip);
+    }
+    if (segment.languages.length) {
+      const chip = document.createElement('span');
+      chip.className = 'pill';
+      chip.textContent =
+        `Response language: ${segment.languages.map(languageName).join(' or ')}`;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.textContent = '×';
+      remove.title = 'Remove this condition';
+      remove.addEventListener('click', () => {
+        segment.languages = [];
+        applySegment();
+      });
+      chip.appendChild(remove);
+      segmentChips.appendChild(chip);
+    }
+    const filtered =
+      Object.keys(segment.fields).length ||
+      segment.languages.length ||
+      segmentFrom.value ||
+      segmentTo.value;
+    if (filtered) {
+      const count = document.createElement('span');
+      count.textContent =
+        `${summary.totalSubmissions} matching submission` +
+        (summary.totalSubmissions === 1 ? '' : 's');
+      segmentChips.appendChild(count);
+    }
   }
 
-  // ---------- Free-text rendering ----------
+  function renderSegmentValues() {
+    segmentValues.innerHTML = '';
+    const meta = keyIndex[segmentField.value];
+    if (!meta) return;
+    const selected = segment.fields[segmentField.value] || [];
+    for (const choice of answerChoices(meta) || []) {
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.value = choice.value;
+      input.checked = selected.includes(choice.value);
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(` ${choice.label}`));
+      segmentValues.appendChild(label);
+    }
+  }
 
-  function extractFreeTextValue(resp) {
-    if (typeof resp === 'string') return resp;
-    if (typeof resp === 'number' || typeof resp === 'boolean') {
-      return String(resp);
+  // ---------- Comment analysis ----------
+
+  const TONES = [
+    { key: 'positive', label: 'Positive' },
+    { key: 'neutral', label: 'Neutral' },
+    { key: 'negative', label: 'Negative' }
+  ];
+
+  // One table per section: a row per building with the tone split and the
+  // top phrases. Every bar segment and phrase opens the matching comments.
+  function renderAnalysis(groups) {
+    analysisContent.innerHTML = '';
+    analysisCard.hidden = !groups || !groups.length;
+    if (analysisCard.hidden) return;
+
+    const byCategory = new Map();
+    for (const group of groups) {
+      if (!byCategory.has(group.category)) byCategory.set(group.category, []);
+      byCategory.get(group.category).push(group);
     }
-    if (resp && typeof resp === 'object') {
-      const possibleKeys = ['text', 'value', 'comment', 'message'];
-      for (const k of possibleKeys) {
-        if (resp[k]) return String(resp[k]);
+
+    for (const [category, rows] of byCategory) {
+      const header = document.createElement('div');
+      header.className = 'free-header';
+      header.textContent = category;
+      analysisContent.appendChild(header);
+
+      const table = document.createElement('table');
+      table.className = 'audit-table';
+      const head = table.createTHead().insertRow();
+      ['Building', 'Comments', 'Tone', 'Frequent phrases'].forEach((h) => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        head.appendChild(th);
+      });
+      const tbody = table.createTBody();
+
+      for (const group of rows) {
+        const row = tbody.insertRow();
+        row.insertCell().textContent = group.building;
+        if (group.suppressed) {
+          const note = row.insertCell();
+          note.colSpan = 3;
+          note.className = 'suppressed';
+          note.textContent = group.note;
+          continue;
+        }
+        row.insertCell().textContent = group.comments;
+
+        const bar = document.createElement('div');
+        bar.className = 'tone-bar';
+        for (const tone of TONES) {
+          const n = group.sentiment[tone.key];
+          if (!n) continue;
+          const segment = document.createElement('button');
+          segment.type = 'button';
+          segment.className = `tone-${tone.key}`;
+          segment.style.width = `${(n / group.comments) * 100}%`;
+          segment.textContent = n;
+          segment.title = `${tone.label}: ${n} of ${group.comments}`;
+          segment.addEventListener('click', () =>
+            showComments({ category, building: group.building, sentiment: tone.key })
+          );
+          bar.appendChild(segment);
+        }
+        row.insertCell().appendChild(bar);
+
+        const phrases = row.insertCell();
+        phrases.className = 'phrase-list';
+        if (!group.phrases.length) phrases.textContent = '–';
+        for (const { phrase, count } of group.phrases) {
+          const btn = document.createElement('button');
+          btn.type = 'button';
+          btn.textContent = `${phrase} (${count})`;
+          btn.addEventListener('click', () =>
+            showComments({ category, building: group.building, q: `"${phrase}"` })
+          );
+          phrases.appendChild(btn);
+        }
       }
-      return JSON.stringify(resp);
+      analysisContent.appendChild(table);
     }
-    return String(resp || '');
   }
 
-  function renderFreeText(freeTextObj) {
-    freeContent.innerHTML = '';
+  // Filter the comments card to one analysis cell and scroll to it
+  function showComments({ category, building, sentiment, q }) {
+    freeSearch.value = q || '';
+    freeCategoryFilter.value = category;
+    freeBuildingFilter.value = building;
+    freeSentimentFilter.value = sentiment || '';
+    freeThemeFilter.value = '';
+    freeQuotesOnly.checked = false;
+    fetchComments(false);
+    freeCard.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // ---------- Free-text coding ----------
+
+  // Comments come from /comments, filtered on the server; the summary's
+  // freeText only supplies the building labels for the filter.
+  const FREE_PAGE_SIZE = 200;
+  let freeTarget = null;
+  let freeComments = [];
+  let freeTotal = 0;
+  let freeThemes = [];
+  let freeSuppression = null;
 
+  const commentRef = (c) => `${c.submissionId}:${c.key}`;
+
+  function showFreeText(surveyId, cycle, freeTextObj) {
     const entries = Object.entries(freeTextObj || {});
     if (!entries.length) {
       freeCard.hidden = true;
+      freeTarget = null;
       return;
     }
+    freeTarget = { surveyId, cycle };
 
-    const rows = entries.map(([key, info]) => {
-      const meta = parseQuestionMeta(key);
-      const buildings = (info && info.byBuilding) || { 'All / N/A': [] };
-      let responses = [];
+    // Building labels as the server ordered them, "All / N/A" last
+    const labels = [];
+    for (const [, info] of entries) {
+      for (const [label, cell] of Object.entries((info && info.byBuilding) || {})) {
+        if (!cell.suppressed && !labels.includes(label)) labels.push(label);
+      }
+    }
+    labels.sort((a, b) =>
+      (a === NO_BUILDING_LABEL) - (b === NO_BUILDING_LABEL) ||
+      orderOf(buildingOrder, a) - orderOf(buildingOrder, b)
+    );
+    const selected = freeBuildingFilter.value;
+    freeBuildingFilter.innerHTML = '<option value="">All buildings</option>';
+    for (const label of labels) {
+      const opt = document.createElement('option');
+      opt.value = label;
+      opt.textContent = label;
+      freeBuildingFilter.appendChild(opt);
+    }
+    freeBuildingFilter.value = labels.includes(selected) ? selected : '';
 
-      for (const arr of Object.values(buildings)) {
-        if (Array.isArray(arr)) {
-          responses.push(...arr.map(extractFreeTextValue));
-        }
+    const categories = [];
+    for (const [key] of entries) {
+      const category = parseQuestionMeta(key).categoryLabel;
+      if (!categories.includes(category)) categories.push(category);
+    }
+    categories.sort((a, b) => orderOf(sectionOrder, a) - orderOf(sectionOrder, b));
+    const selectedCategory = freeCategoryFilter.value;
+    freeCategoryFilter.innerHTML = '<option value="">All sections</option>';
+    for (const category of categories) {
+      const opt = document.createElement('option');
+      opt.value = category;
+      opt.textContent = category;
+      freeCategoryFilter.appendChild(opt);
+    }
+    freeCategoryFilter.value =
+      categories.includes(selectedCategory) ? selectedCategory : '';
+
+    freeCard.hidden = false;
+    fetchComments(false);
+  }
+
+  async function fetchComments(more) {
+    if (!freeTarget) return;
+    const params = segmentParams();
+    if (freeTarget.cycle) params.set('cycle', freeTarget.cycle);
+    if (shownLanguage) params.set('lang', shownLanguage);
+    if (freeSearch.value.trim()) params.set('q', freeSearch.value.trim());
+    if (freeCategoryFilter.value) params.set('category', freeCategoryFilter.value);
+    if (freeBuildingFilter.value) params.set('building', freeBuildingFilter.value);
+    if (freeSentimentFilter.value) params.set('sentiment', freeSentimentFilter.value);
+    if (freeThemeFilter.value) params.set('theme', freeThemeFilter.value);
+    if (freeQuotesOnly.checked) params.set('quotes', '1');
+    params.set('offset', more ? freeComments.length : 0);
+    params.set('limit', FREE_PAGE_SIZE);
+
+    freeMoreBtn.disabled = true;
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(freeTarget.surveyId)}/comments?${params}`;
+      const resp = await api(url);
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Request failed');
       }
+      freeComments = more ? freeComments.concat(data.comments) : data.comments;
+      freeTotal = data.total;
+      freeThemes = data.themes || [];
+      freeSuppression = data.suppression || null;
+      renderThemes();
+      renderComments();
+    } catch (err) {
+      console.error(err);
+      setStatus('Comments error: ' + err.message, 'error');
+    } finally {
+      freeMoreBtn.disabled = false;
+    }
+  }
 
-      return { key, meta, responses };
-    });
+  function themeName(id) {
+    const theme = freeThemes.find(t => t.id === id);
+    return theme ? theme.name : '';
+  }
 
-    rows.sort((a, b) => {
-      const c = a.meta.categoryLabel.localeCompare(b.meta.categoryLabel);
-      if (c !== 0) return c;
-      const d = a.meta.buildingLabel.localeCompare(b.meta.buildingLabel);
-      if (d !== 0) return d;
-      return a.key.localeCompare(b.key);
+  // Theme filter options plus the counts table by section and building
+  function renderThemes() {
+    const selected = freeThemeFilter.value;
+    freeThemeFilter.innerHTML = '<option value="">All themes</option>';
+    for (const theme of freeThemes) {
+      const opt = document.createElement('option');
+      opt.value = String(theme.id);
+      opt.textContent = theme.name;
+      freeThemeFilter.appendChild(opt);
+    }
+    freeThemeFilter.value =
+      freeThemes.some(t => String(t.id) === selected) ? selected : '';
+
+    themeContent.innerHTML = '';
+    if (!freeThemes.length) return;
+
+    const table = document.createElement('table');
+    table.className = 'audit-table';
+    const head = table.createTHead().insertRow();
+    const headings = ['Theme', 'Comments', 'By section and building'];
+    if (isDistrictAdmin()) headings.push('');
+    headings.forEach((h) => {
+      const th = document.createElement('th');
+      th.textContent = h;
+      head.appendChild(th);
     });
+    const tbody = table.createTBody();
+
+    for (const theme of freeThemes) {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = theme.name;
+      row.insertCell().textContent = theme.total;
+      const breakdown = row.insertCell();
+      breakdown.className = 'audit-details';
+      breakdown.textContent = Object.entries(theme.byCategory)
+        .sort(([a], [b]) => orderOf(sectionOrder, a) - orderOf(sectionOrder, b))
+        .map(([category, byBuilding]) =>
+          `${category}: ` +
+          Object.entries(byBuilding)
+            .sort(([a], [b]) => orderOf(buildingOrder, a) - orderOf(buildingOrder, b))
+            .map(([building, n]) => `${building} ${n}`)
+            .join(', ')
+        )
+        .join(' · ');
+
+      if (isDistrictAdmin()) {
+        const actions = row.insertCell();
+        actions.className = 'review-actions';
+        const renameBtn = document.createElement('button');
+        renameBtn.type = 'button';
+        renameBtn.textContent = 'Rename';
+        renameBtn.addEventListener('click', () => renameTheme(theme));
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'reject';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => deleteTheme(theme));
+        actions.appendChild(renameBtn);
+        actions.appendChild(deleteBtn);
+      }
+    }
+    themeContent.appendChild(table);
+  }
+
+  function renderComments() {
+    freeContent.innerHTML = '';
+    const filter = freeBuildingFilter.value;
+
+    const hidden = suppressionText(freeSuppression);
+    if (hidden) {
+      const note = document.createElement('p');
+      note.className = 'free-meta suppressed';
+      note.textContent = hidden;
+      freeContent.appendChild(note);
+    }
+
+    // question → building label → comments; a comment with several
+    // buildings is listed under each
+    const byKey = new Map();
+    for (const c of freeComments) {
+      if (!byKey.has(c.key)) byKey.set(c.key, new Map());
+      const groups = byKey.get(c.key);
+      for (const label of c.buildings) {
+        if (filter && label !== filter) continue;
+        if (!groups.has(label)) groups.set(label, []);
+        groups.get(label).push(c);
+      }
+    }
+
+    const rows = [...byKey].map(([key, groups]) => ({
+      key,
+      meta: parseQuestionMeta(key),
+      groups: [...groups]
+        .sort(([a], [b]) =>
+          (a === NO_BUILDING_LABEL) - (b === NO_BUILDING_LABEL) ||
+          orderOf(buildingOrder, a) - orderOf(buildingOrder, b)
+        ),
+      total: freeComments.filter(c => c.key === key).length
+    }));
+    rows.sort((a, b) => compareGroups(a.meta, b.meta) || a.key.localeCompare(b.key));
+
+    if (!rows.length) {
+      const empty = document.createElement('p');
+      empty.textContent = 'No open-ended responses match.';
+      freeContent.appendChild(empty);
+    }
 
     for (const row of rows) {
       const wrapper = document.createElement('div');
@@ -448,23 +2558,244 @@
       const metaLine = document.createElement('div');
       metaLine.className = 'free-meta';
       metaLine.textContent =
-        `${row.meta.categoryLabel} – ${row.meta.buildingLabel} · ` +
-        `${row.responses.length} response${row.responses.length === 1 ? '' : 's'}`;
+        `${row.meta.categoryLabel} · ` +
+        `${row.total} comment${row.total === 1 ? '' : 's'}`;
       wrapper.appendChild(metaLine);
 
-      const ul = document.createElement('ul');
-      ul.className = 'free-list';
-      row.responses.forEach((text) => {
-        const li = document.createElement('li');
-        li.textContent = text;
-        ul.appendChild(li);
-      });
-      wrapper.appendChild(ul);
+      for (const [label, comments] of row.groups) {
+        const details = document.createElement('details');
+        details.className = 'free-building';
+        details.open = true;
+        const summary = document.createElement('summary');
+        summary.textContent = `${label} (${comments.length})`;
+        details.appendChild(summary);
+
+        const ul = document.createElement('ul');
+        ul.className = 'free-list';
+        comments.forEach((c) => {
+          const li = document.createElement('li');
+          li.dataset.ref = commentRef(c);
+          li.appendChild(document.createTextNode(c.text));
+          li.appendChild(renderCoding(c));
+          ul.appendChild(li);
+        });
+        details.appendChild(ul);
+        wrapper.appendChild(details);
+      }
 
       freeContent.appendChild(wrapper);
     }
 
-    freeCard.hidden = false;
+    if (freeComments.length < freeTotal) {
+      const note = document.createElement('p');
+      note.className = 'free-meta';
+      note.textContent = `Showing ${freeComments.length} of ${freeTotal} comments.`;
+      freeContent.appendChild(note);
+    }
+    freeMoreBtn.hidden = freeComments.length >= freeTotal;
+    freeToggleBtn.textContent = 'Collapse all';
+  }
+
+  // Theme chips and quote star; editable for district admins only
+  function renderCoding(comment) {
+    const box = document.createElement('span');
+    box.className = 'comment-coding';
+    const editable = isDistrictAdmin();
+
+    // Written in another language than the survey's own
+    if (
+      surveyLanguages.length > 1 &&
+      comment.language &&
+      comment.language !== surveyLanguages[0].code
+    ) {
+      const mark = document.createElement('span');
+      mark.className = 'pill';
+      mark.textContent = languageName(comment.language);
+      box.appendChild(mark);
+    }
+
+    if (comment.redacted) {
+      const mark = document.createElement('span');
+      mark.className = 'pill redacted';
+      mark.textContent = 'Redacted';
+      mark.title = 'Personal details were removed from this comment';
+      box.appendChild(mark);
+      if (editable) {
+        const showBtn = document.createElement('button');
+        showBtn.type = 'button';
+        showBtn.textContent = 'Show original';
+        showBtn.addEventListener('click', () => showOriginal(comment, showBtn));
+        box.appendChild(showBtn);
+      }
+    }
+
+    for (const id of comment.themes) {
+      const chip = document.createElement('span');
+      chip.className = 'pill';
+      chip.textContent = themeName(id);
+      if (editable) {
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '×';
+        remove.title = 'Remove theme';
+        remove.addEventListener('click', () =>
+          codeComment(comment, { themes: comment.themes.filter(t => t !== id) })
+        );
+        chip.appendChild(remove);
+      }
+      box.appendChild(chip);
+    }
+
+    if (!editable) {
+      if (comment.quote) {
+        const star = document.createElement('span');
+        star.className = 'pill';
+        star.textContent = '★ Quote';
+        box.appendChild(star);
+      }
+      return box;
+    }
+
+    const unused = freeThemes.filter(t => !comment.themes.includes(t.id));
+    if (unused.length) {
+      const select = document.createElement('select');
+      select.innerHTML = '<option value="">+ Theme</option>';
+      for (const theme of unused) {
+        const opt = document.createElement('option');
+        opt.value = String(theme.id);
+        opt.textContent = theme.name;
+        select.appendChild(opt);
+      }
+      select.addEventListener('change', () => {
+        if (!select.value) return;
+        codeComment(comment, { themes: comment.themes.concat(Number(select.value)) });
+      });
+      box.appendChild(select);
+    }
+
+    const quoteBtn = document.createElement('button');
+    quoteBtn.type = 'button';
+    quoteBtn.textContent = comment.quote ? '★ Quote' : '☆ Quote';
+    quoteBtn.title = comment.quote
+      ? 'Remove from representative quotes'
+      : 'Use as a representative quote';
+    if (comment.quote) quoteBtn.classList.add('quoted');
+    quoteBtn.addEventListener('click', () =>
+      codeComment(comment, { quote: !comment.quote })
+    );
+    box.appendChild(quoteBtn);
+    return box;
+  }
+
+  // Same counting as the server: once per theme, per building of the comment
+  function countThemes(comment, delta) {
+    for (const id of comment.themes) {
+      const theme = freeThemes.find(t => t.id === id);
+      if (!theme) continue;
+      theme.total += delta;
+      const category = (theme.byCategory[comment.category] ||= {});
+      for (const building of comment.buildings) {
+        category[building] = (category[building] || 0) + delta;
+        if (!category[building]) delete category[building];
+      }
+      if (!Object.keys(category).length) delete theme.byCategory[comment.category];
+    }
+  }
+
+  async function codeComment(comment, change) {
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(freeTarget.surveyId)}` +
+        `/comments/${comment.submissionId}/${encodeURIComponent(comment.key)}`;
+      const resp = await api(url, { method: 'PUT', json: change });
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Update failed');
+      }
+      if (change.themes) {
+        countThemes(comment, -1);
+        comment.themes = change.themes;
+        countThemes(comment, 1);
+        renderThemes();
+      }
+      if (change.quote !== undefined) comment.quote = change.quote;
+
+      // Redraw the coding controls wherever the comment is listed
+      freeContent.querySelectorAll('li').forEach((li) => {
+        if (li.dataset.ref !== commentRef(comment)) return;
+        li.replaceChild(renderCoding(comment), li.lastChild);
+      });
+    } catch (err) {
+      console.error(err);
+      setStatus('Coding error: ' + err.message, 'error');
+    }
+  }
+
+  // District admins only; each view is recorded in the activity log
+  async function showOriginal(comment, btn) {
+    btn.disabled = true;
+    try {
+      const url =
+        `/admin/surveys/${encodeURIComponent(freeTarget.surveyId)}` +
+        `/comments/${comment.submissionId}/${encodeURIComponent(comment.key)}/original`;
+      const resp = await api(url);
+      const data = await resp.json().catch(() => ({}));
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Request failed');
+      }
+      const original = document.createElement('span');
+      original.className = 'comment-original';
+      original.textContent = `Original: ${data.original}`;
+      btn.replaceWith(original);
+    } catch (err) {
+      console.error(err);
+      setStatus('Comment error: ' + err.message, 'error');
+      btn.disabled = false;
+    }
+  }
+
+  async function saveTheme(url, method, json, successMsg) {
+    try {
+      const resp = await api(url, { method, json });
+      const data = await resp.json().catch(() => ({}));
+      if (resp.status === 409) throw new Error('a theme with that name already exists');
+      if (!resp.ok || !data.ok) {
+        throw new Error(data.message || data.error || 'Request failed');
+      }
+      setStatus(successMsg, 'success');
+      await fetchComments(false);
+      return true;
+    } catch (err) {
+      console.error(err);
+      setStatus('Theme error: ' + err.message, 'error');
+      return false;
+    }
+  }
+
+  function themesUrl(themeId) {
+    return `/admin/surveys/${encodeURIComponent(freeTarget.surveyId)}/themes` +
+      (themeId ? `/${themeId}` : '');
+  }
+
+  async function addTheme(name) {
+    if (!freeTarget) return;
+    const ok = await saveTheme(themesUrl(), 'POST', { name }, `Theme "${name}" added.`);
+    if (ok) themeNameInput.value = '';
+  }
+
+  function renameTheme(theme) {
+    const name = window.prompt('New name for this theme:', theme.name);
+    if (!name || name.trim() === theme.name) return;
+    saveTheme(themesUrl(theme.id), 'PATCH', { name: name.trim() }, 'Theme renamed.');
+  }
+
+  function deleteTheme(theme) {
+    const ok = window.confirm(
+      `Delete the theme "${theme.name}"? It will be removed from ` +
+      `${theme.total} comment${theme.total === 1 ? '' : 's'}.`
+    );
+    if (!ok) return;
+    saveTheme(themesUrl(theme.id), 'DELETE', undefined, 'Theme deleted.');
   }
 
   // ---------- Charts / Visual summary ----------
@@ -486,8 +2817,22 @@
     window.__rhCharts.forEach((ch) => ch.destroy());
     window.__rhCharts = [];
 
+    // Scoped (principal) summaries only cover some buildings, so the
+    // combined bar is labelled for what it actually includes.
+    const districtLabel = summary.scope ? 'All (your buildings)' : 'District (all)';
+
+    // Server-side statistics for each bar, looked up by the same grouping
+    const statistics = summary.statistics || {};
+    const cellStats = (cat, bld) =>
+      bld === districtLabel
+        ? (statistics.categories || {})[cat]
+        : (statistics.categoryBuildings || []).find(
+            (cb) => cb.category === cat && cb.building === bld
+          );
+
     // Aggregate by category & building
     const agg = {}; // agg[category][building] = { sum, responses }
+    const hidden = {}; // hidden[category] = buildings with suppressed questions
 
     function ensureAgg(cat, bld) {
       if (!agg[cat]) agg[cat] = {};
@@ -496,13 +2841,15 @@
     }
 
     for (const q of questions) {
+      if (q.type && q.type !== 'scale') continue; // charted by answer below
       const meta = parseQuestionMeta(q.key);
       const cat = meta.categoryLabel;
       const bld = meta.buildingLabel;
-      const sum = Number(q.sum) || 0;
       const resp = Number(q.responses) || 0;
 
+      if (q.suppressed) (hidden[cat] ||= new Set()).add(bld);
       if (!resp) continue;
+      const sum = pooledSum(q);
 
       // Building-specific
       const nodeB = ensureAgg(cat, bld);
@@ -510,33 +2857,45 @@
       nodeB.responses += resp;
 
       // District-wide
-      const nodeD = ensureAgg(cat, 'District (all)');
+      const nodeD = ensureAgg(cat, districtLabel);
       nodeD.sum += sum;
       nodeD.responses += resp;
     }
 
-    const categories = Object.keys(agg).sort();
-    if (!categories.length) return;
-
-    chartsCard.hidden = false;
+    // A suppressed building keeps its place in the building charts, as an
+    // empty bar labelled with the server's note
+    const suppressed = (summary.suppression && summary.suppression.buildings) || [];
+    const fewer = summary.suppression
+      ? `fewer than ${summary.suppression.minCellSize} responses`
+      : '';
+    const isHidden = (cat, bld) =>
+      suppressed.includes(bld) && hidden[cat] && hidden[cat].has(bld);
+
+    const categories = Object.keys(agg).sort(
+      (a, b) => orderOf(sectionOrder, a) - orderOf(sectionOrder, b) || a.localeCompare(b)
+    );
+    if (categories.length) chartsCard.hidden = false;
 
     // 1) Overall by category (district)
     const distLabels = [];
     const distData = [];
+    const distStats = [];
 
     for (const cat of categories) {
-      const node = agg[cat]['District (all)'];
+      const node = agg[cat][districtLabel];
       if (!node || !node.responses) continue;
       distLabels.push(cat);
       distData.push(node.sum / node.responses);
+      distStats.push(cellStats(cat, districtLabel));
     }
 
     if (distLabels.length) {
       createChartBlock(
-        'Average by Category (District)',
+        summary.scope ? 'Average by Category (your buildings)' : 'Average by Category (District)',
         distLabels,
         distData,
-        'Average score (1–5)'
+        POOLED_AXIS_LABEL,
+        distStats
       );
     }
 
@@ -544,7 +2903,7 @@
     const buildingTotals = {}; // building -> { sum, responses }
     for (const cat of categories) {
       for (const [bld, node] of Object.entries(agg[cat])) {
-        if (bld === 'District (all)') continue;
+        if (bld === districtLabel) continue;
         if (!buildingTotals[bld]) buildingTotals[bld] = { sum: 0, responses: 0 };
         buildingTotals[bld].sum += node.sum;
         buildingTotals[bld].responses += node.responses;
@@ -553,10 +2912,18 @@
 
     const bldLabels = [];
     const bldData = [];
+    const bldStats = [];
     for (const [bld, node] of Object.entries(buildingTotals)) {
       if (!node.responses) continue;
       bldLabels.push(bld);
       bldData.push(node.sum / node.responses);
+      bldStats.push((statistics.buildings || {})[bld]);
+    }
+    for (const bld of suppressed) {
+      if (buildingTotals[bld] || !categories.some(cat => isHidden(cat, bld))) continue;
+      bldLabels.push([bld, fewer]);
+      bldData.push(null);
+      bldStats.push(undefined);
     }
 
     if (bldLabels.length) {
@@ -564,22 +2931,31 @@
         'Overall Average by Building',
         bldLabels,
         bldData,
-        'Average score (1–5)'
+        POOLED_AXIS_LABEL,
+        bldStats
       );
     }
 
     // 3) For each category, show building comparisons
-    const buildingOrder = ['Elementary', 'Middle School', 'High School', 'District (all)'];
+    const chartBuildings = [...buildingOrder, districtLabel];
 
     for (const cat of categories) {
       const labels = [];
       const values = [];
+      const stats = [];
 
-      buildingOrder.forEach((bld) => {
+      chartBuildings.forEach((bld) => {
         const node = agg[cat][bld];
+        if ((!node || !node.responses) && isHidden(cat, bld)) {
+          labels.push([bld, fewer]);
+          values.push(null);
+          stats.push(undefined);
+          return;
+        }
         if (!node || !node.responses) return;
         labels.push(bld);
         values.push(node.sum / node.responses);
+        stats.push(cellStats(cat, bld));
       });
 
       if (labels.length > 0) {
@@ -587,13 +2963,279 @@
           `${cat} – Average by Building`,
           labels,
           values,
-          'Average score (1–5)'
+          POOLED_AXIS_LABEL,
+          stats
         );
       }
     }
+
+    // 4) Every other question type, by answer
+    renderAnswerCharts(questions);
+  }
+
+  // One chart per question that isn't a scale question, a bar per
+  // building: stacked shares for choice, yes/no and NPS, side by side for
+  // multi (a respondent can pick several options)
+  function renderAnswerCharts(questions) {
+    const keyOrder = Object.keys(keyIndex);
+    const byQuestion = new Map();
+    const ordered = questions
+      .filter(q => q.type && q.type !== 'scale' && !q.suppressed)
+      .sort((a, b) => orderOf(keyOrder, a.key) - orderOf(keyOrder, b.key));
+    for (const q of ordered) {
+      const meta = keyIndex[q.key];
+      const id = meta ? meta.questionKey : q.key;
+      if (!byQuestion.has(id)) {
+        byQuestion.set(id, {
+          title: meta ? meta.text : prettyQuestionLabel(q.key),
+          type: q.type,
+          rows: []
+        });
+      }
+      byQuestion.get(id).rows.push({ building: parseQuestionMeta(q.key).buildingLabel, q });
+    }
+
+    for (const { title, type, rows } of byQuestion.values()) {
+      rows.sort(
+        (a, b) => orderOf(buildingOrder, a.building) - orderOf(buildingOrder, b.building)
+      );
+      const parts = rows.map(r => (type === 'nps' ? npsParts(r.q) : answerParts(r.q)));
+      const datasets = parts[0].map((part, i) => ({
+        label: part.label,
+        data: parts.map(p => p[i].percent),
+        counts: parts.map(p => p[i].count),
+        backgroundColor: part.color
+      }));
+      createStackedChartBlock(
+        type === 'nps' ? `${title} (NPS)` : title,
+        rows.map(r =>
+          type === 'nps' ? `${r.building} (NPS ${formatNps(r.q.nps)})` : r.building
+        ),
+        datasets,
+        type !== 'multi'
+      );
+      chartsCard.hidden = false;
+    }
+  }
+
+  // ---------- Year-over-year trends ----------
+
+  function cycleName(side) {
+    return side.cycle || 'Active cycle';
+  }
+
+  function formatAvg(node) {
+    return typeof node.average === 'number' ? node.average.toFixed(2) : '–';
+  }
+
+  function renderTrends(comparison) {
+    trendTable.innerHTML = '';
+    trendGrid.innerHTML = '';
+    trendCard.hidden = true;
+    if (!comparison) return;
+
+    const fromName = cycleName(comparison.from);
+    const toName = cycleName(comparison.to);
+    trendSubtitle.textContent =
+      `${fromName} (${comparison.from.totalSubmissions} submissions) → ` +
+      `${toName} (${comparison.to.totalSubmissions} submissions). ` +
+      'Averages pool every scale response in the group, with scales other ' +
+      'than 1–5 rescaled to 1–5.';
+
+    const categories = Object.keys(comparison.categories).sort(
+      (a, b) => orderOf(sectionOrder, a) - orderOf(sectionOrder, b) || a.localeCompare(b)
+    );
+    const buildings = Object.keys(comparison.buildings).sort(
+      (a, b) => orderOf(buildingOrder, a) - orderOf(buildingOrder, b) || a.localeCompare(b)
+    );
+    if (!categories.length) return;
+
+    trendCard.hidden = false;
+
+    // Table: one row per category, then one per building
+    const table = document.createElement('table');
+    table.className = 'trend-table';
+    const head = table.createTHead().insertRow();
+    ['Group', fromName, 'n', toName, 'n', 'Change'].forEach((text) => {
+      const th = document.createElement('th');
+      th.textContent = text;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+
+    function addRow(label, node) {
+      const row = body.insertRow();
+      const d = typeof node.delta === 'number' ? node.delta : null;
+      [
+        label,
+        formatAvg(node.from),
+        node.from.responses,
+        formatAvg(node.to),
+        node.to.responses,
+        d === null ? '–' : `${d > 0 ? '+' : ''}${d.toFixed(2)}`
+      ].forEach((text, i) => {
+        const cell = row.insertCell();
+        cell.textContent = text;
+        if (i === 5 && d) cell.className = d > 0 ? 'delta-up' : 'delta-down';
+      });
+    }
+
+    categories.forEach(cat => addRow(cat, comparison.categories[cat]));
+    buildings.forEach(bld => addRow(bld, comparison.buildings[bld]));
+    trendTable.appendChild(table);
+
+    if (typeof Chart === 'undefined') return;
+
+    function datasetsFor(nodes) {
+      return [
+        { label: fromName, data: nodes.map(n => n.from.average) },
+        { label: toName, data: nodes.map(n => n.to.average) }
+      ];
+    }
+
+    const catNodes = categories.map(cat => comparison.categories[cat]);
+    createGroupedChartBlock(
+      trendGrid,
+      'Average by Category',
+      categories,
+      datasetsFor(catNodes)
+    );
+
+    const bldNodes = buildings.map(bld => comparison.buildings[bld]);
+    createGroupedChartBlock(
+      trendGrid,
+      'Average by Building',
+      buildings,
+      datasetsFor(bldNodes)
+    );
+
+    for (const cat of categories) {
+      const rows = comparison.categoryBuildings
+        .filter(cb => cb.category === cat)
+        .sort((a, b) => orderOf(buildingOrder, a.building) - orderOf(buildingOrder, b.building));
+      if (!rows.length) continue;
+      createGroupedChartBlock(
+        trendGrid,
+        `${cat} – by Building`,
+        rows.map(r => r.building),
+        datasetsFor(rows)
+      );
+    }
+  }
+
+  const TREND_COLORS = [
+    ['rgba(156, 163, 175, 0.45)', 'rgba(107, 114, 128, 0.9)'],
+    ['rgba(107, 70, 193, 0.45)', 'rgba(76, 29, 149, 0.9)']
+  ];
+
+  function createGroupedChartBlock(grid, title, labels, datasets) {
+    const block = document.createElement('div');
+    block.className = 'chart-block';
+
+    const h3 = document.createElement('h3');
+    h3.textContent = title;
+    block.appendChild(h3);
+
+    const canvas = document.createElement('canvas');
+    block.appendChild(canvas);
+    grid.appendChild(block);
+
+    const chart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: datasets.map((ds, i) => ({
+          ...ds,
+          backgroundColor: TREND_COLORS[i % TREND_COLORS.length][0],
+          borderColor: TREND_COLORS[i % TREND_COLORS.length][1],
+          borderWidth: 1
+        }))
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            min: POOLED_SCALE.min,
+            max: POOLED_SCALE.max,
+            ticks: { stepSize: 1 },
+            title: { display: true, text: POOLED_AXIS_LABEL }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (ctx) =>
+                ctx.parsed.y == null
+                  ? `${ctx.dataset.label}: no data`
+                  : `${ctx.dataset.label}: ${ctx.parsed.y.toFixed(2)}`
+            }
+          }
+        }
+      }
+    });
+
+    window.__rhCharts.push(chart);
+  }
+
+  // Horizontal percentage bars, one dataset per answer; `stacked` for
+  // answers that add up to 100%
+  function createStackedChartBlock(title, labels, datasets, stacked) {
+    const block = document.createElement('div');
+    block.className = 'chart-block';
+
+    const h3 = document.createElement('h3');
+    h3.textContent = title;
+    block.appendChild(h3);
+
+    const canvas = document.createElement('canvas');
+    block.appendChild(canvas);
+    chartsGrid.appendChild(block);
+
+    const chart = new Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels,
+        datasets: datasets.map(ds => ({ ...ds, borderWidth: 0 }))
+      },
+      options: {
+        indexAxis: 'y',
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            stacked,
+            min: 0,
+            max: 100,
+            title: {
+              display: true,
+              text: stacked ? '% of answers' : '% of respondents'
+            }
+          },
+          y: { stacked }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              label: (ctx) => {
+                const count = ctx.dataset.counts[ctx.dataIndex];
+                return (
+                  `${ctx.dataset.label}: ${formatPercent(ctx.parsed.x)}` +
+                  (count == null ? '' : ` (${count})`)
+                );
+              }
+            }
+          }
+        }
+      }
+    });
+
+    window.__rhCharts.push(chart);
   }
 
-  function createChartBlock(title, labels, data, yLabel) {
+  // `stats` (optional) holds a summary.statistics group per bar for the
+  // tooltip
+  function createChartBlock(title, labels, data, yLabel, stats = []) {
     const block = document.createElement('div');
     block.className = 'chart-block';
 
@@ -625,8 +3267,8 @@
         maintainAspectRatio: false,
         scales: {
           y: {
-            min: 1,
-            max: 5,
+            min: POOLED_SCALE.min,
+            max: POOLED_SCALE.max,
             ticks: {
               stepSize: 1
             },
@@ -642,7 +3284,8 @@
           },
           tooltip: {
             callbacks: {
-              label: (ctx) => `Avg: ${ctx.parsed.y.toFixed(2)}`
+              label: (ctx) => `Avg: ${ctx.parsed.y.toFixed(2)}`,
+              afterLabel: (ctx) => statLines(stats[ctx.dataIndex])
             }
           }
         }
@@ -651,4 +3294,7 @@
 
     window.__rhCharts.push(chart);
   }
+
+  // Resume an existing session on page load
+  checkSession();
 })();
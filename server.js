@@ -6,18 +6,32 @@ const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
 const crypto = require('crypto');
+const { promisify } = require('util');
 const { Pool } = require('pg');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
 const path = require('path');
+const fs = require('fs');
 
 // --------- Config ---------
 const PORT = process.env.PORT || 8080;
-const SURVEY_ID =
+// Survey used by the legacy single-survey routes (/submit, /summary, ...)
+const DEFAULT_SURVEY_ID =
   process.env.SURVEY_ID || 'royhart_parent_family_climate_2025';
+const DEFAULT_SURVEY_TITLE =
+  process.env.SURVEY_TITLE || 'Parent/Family Climate Survey';
 const DATABASE_URL = process.env.DATABASE_URL;
 const SALT = process.env.SALT || 'CHANGE_ME_SALT';
-const APPS_SCRIPT_URL = process.env.APPS_SCRIPT_URL || ''; // optional Sheet webhook
+// Optional Google Sheet webhook, registered as the "google_sheet" target
+const APPS_SCRIPT_URL = process.env.APPS_SCRIPT_URL || '';
 const TRUST_PROXY = process.env.TRUST_PROXY !== 'false'; // default true
-const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// First district admin, created only while the admin_users table is empty
+const ADMIN_BOOTSTRAP_USERNAME = process.env.ADMIN_BOOTSTRAP_USERNAME || '';
+const ADMIN_BOOTSTRAP_PASSWORD = process.env.ADMIN_BOOTSTRAP_PASSWORD || '';
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+const SECURE_COOKIES = process.env.NODE_ENV === 'production';
+const DISTRICT_NAME =
+  process.env.DISTRICT_NAME || 'Royalton-Hartland Central School District';
 
 // Comma-separated list of prefixes, e.g.
 // "168.169.220.,168.169.221.,168.169.220.139"
@@ -26,6 +40,44 @@ const IP_WHITELIST_PREFIXES = (process.env.IP_WHITELIST_PREFIXES || '')
   .map((s) => s.trim())
   .filter(Boolean);
 
+// Submission rate limits, counted in memory per fixed window
+const SUBMIT_RATE_WINDOW_MINUTES =
+  Number(process.env.SUBMIT_RATE_WINDOW_MINUTES) || 10;
+const SUBMIT_RATE_PER_IP = Number(process.env.SUBMIT_RATE_PER_IP) || 20;
+// A whitelisted school network is one IP for many families
+const SUBMIT_RATE_PER_WHITELISTED_IP =
+  Number(process.env.SUBMIT_RATE_PER_WHITELISTED_IP) || 200;
+const SUBMIT_RATE_GLOBAL = Number(process.env.SUBMIT_RATE_GLOBAL) || 1000;
+// Submissions sent sooner than this after the form was opened are held for
+// review (only checked when the front end sends _startedAt)
+const SUBMIT_MIN_FILL_SECONDS =
+  process.env.SUBMIT_MIN_FILL_SECONDS !== undefined
+    ? Number(process.env.SUBMIT_MIN_FILL_SECONDS)
+    : 30;
+
+// Saved drafts (partly answered surveys) expire this long after their last
+// save; their answers are then deleted
+const DRAFT_TTL_DAYS = Number(process.env.DRAFT_TTL_DAYS) || 14;
+
+// Results for fewer respondents than this are withheld from the API, the
+// dashboard and every export (1 or 0 turns suppression off)
+const MIN_CELL_SIZE =
+  process.env.MIN_CELL_SIZE !== undefined
+    ? Number(process.env.MIN_CELL_SIZE) || 0
+    : 5;
+
+// Webhook deliveries are retried with exponential backoff, then dead-lettered
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const WEBHOOK_POLL_SECONDS = Number(process.env.WEBHOOK_POLL_SECONDS) || 5;
+
+// Question definition seeded for the default survey
+const DEFAULT_DEFINITION = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, 'definitions', 'parent-family-climate.json'),
+    'utf8'
+  )
+);
+
 if (!DATABASE_URL) {
   console.error('Missing DATABASE_URL env var.');
 }
@@ -39,18 +91,323 @@ const pool = new Pool({
       : false,
 });
 
-// Create table if it doesn't exist
-async function ensureSchema() {
+// Create tables if they don't exist. Runs once per process; a failed run
+// is retried on the next request.
+let schemaReady = null;
+
+function ensureSchema() {
+  if (!schemaReady) {
+    schemaReady = migrate().catch((err) => {
+      schemaReady = null;
+      throw err;
+    });
+  }
+  return schemaReady;
+}
+
+async function migrate() {
   await pool.query(`
     CREATE TABLE IF NOT EXISTS submissions (
       id SERIAL PRIMARY KEY,
       survey_id TEXT NOT NULL,
       ip_hash TEXT NOT NULL,
       submitted_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      payload JSONB NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS surveys (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    -- How repeat submissions are limited: 'ip' (one per client IP unless
+    -- whitelisted) or 'invitation' (one per single-use invitation code)
+    ALTER TABLE surveys ADD COLUMN IF NOT EXISTS access_mode TEXT NOT NULL
+      DEFAULT 'ip' CHECK (access_mode IN ('ip', 'invitation'));
+
+    -- Submission window: responses are taken from opens_at until closes_at
+    -- (either one NULL for no limit on that side)
+    ALTER TABLE surveys ADD COLUMN IF NOT EXISTS opens_at TIMESTAMPTZ;
+    ALTER TABLE surveys ADD COLUMN IF NOT EXISTS closes_at TIMESTAMPTZ;
+
+    -- Single-use codes for invitation mode. Nothing links a code to the
+    -- submission it was used for, and only the day of use is kept so the
+    -- two can't be matched up by timestamp either.
+    CREATE TABLE IF NOT EXISTS invitation_codes (
+      survey_id TEXT NOT NULL REFERENCES surveys (id),
+      code TEXT NOT NULL,
+      batch INTEGER NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      used_on DATE,
+      PRIMARY KEY (survey_id, code)
+    );
+
+    -- Versioned question definitions; the highest version is current
+    CREATE TABLE IF NOT EXISTS survey_definitions (
+      survey_id TEXT NOT NULL REFERENCES surveys (id),
+      version INTEGER NOT NULL,
+      definition JSONB NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (survey_id, version)
+    );
+
+    ALTER TABLE submissions
+      ADD COLUMN IF NOT EXISTS definition_version INTEGER;
+
+    -- Closed survey cycles (e.g. "2024-25"). Submissions in a closed cycle
+    -- carry its label; the active cycle's submissions have cycle = NULL.
+    CREATE TABLE IF NOT EXISTS survey_cycles (
+      survey_id TEXT NOT NULL REFERENCES surveys (id),
+      label TEXT NOT NULL,
+      closed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      submission_count INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (survey_id, label)
+    );
+
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS cycle TEXT;
+
+    -- Submissions that tripped the honeypot or timing check are stored as
+    -- 'quarantined' with a reason and left out of results until reviewed
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS status TEXT NOT NULL
+      DEFAULT 'accepted' CHECK (status IN ('accepted', 'quarantined'));
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS quarantine_reason TEXT;
+
+    -- One submission per IP applies to the active cycle only, so the same
+    -- household can answer again after a cycle is closed.
+    ALTER TABLE submissions
+      DROP CONSTRAINT IF EXISTS submissions_survey_id_ip_hash_key;
+    CREATE UNIQUE INDEX IF NOT EXISTS submissions_active_ip_hash
+      ON submissions (survey_id, ip_hash) WHERE cycle IS NULL;
+
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      username TEXT NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('district_admin', 'viewer')),
+      disabled BOOLEAN NOT NULL DEFAULT false,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    -- Building ids (from survey definitions) an admin may see; NULL = all.
+    -- Principals are viewers scoped to their own building.
+    ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS buildings TEXT[];
+
+    -- Only a hash of the session cookie is stored
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      id_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES admin_users (id) ON DELETE CASCADE,
+      csrf_token TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+
+    -- Who did what, when. Rows can be added but never changed or removed.
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      actor TEXT,
+      actor_id INTEGER,
+      action TEXT NOT NULL,
+      survey_id TEXT,
+      target TEXT,
+      ip_hash TEXT,
+      details JSONB NOT NULL DEFAULT '{}'
+    );
+    CREATE INDEX IF NOT EXISTS audit_log_at ON audit_log (at DESC);
+
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+    CREATE TRIGGER audit_log_no_update
+      BEFORE UPDATE OR DELETE ON audit_log
+      FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+    DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+    CREATE TRIGGER audit_log_no_truncate
+      BEFORE TRUNCATE ON audit_log
+      FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only();
+
+    -- Where accepted submissions are forwarded. surveys NULL = every survey.
+    CREATE TABLE IF NOT EXISTS webhook_targets (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      surveys TEXT[],
+      enabled BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+
+    -- Outbox: one row per submission per target, written in the same
+    -- transaction as the submission and drained by the delivery worker
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id BIGSERIAL PRIMARY KEY,
+      target_id INTEGER NOT NULL REFERENCES webhook_targets (id),
+      survey_id TEXT NOT NULL,
+      event TEXT NOT NULL,
+      body JSONB NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'dead')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      last_error TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      delivered_at TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS webhook_deliveries_due
+      ON webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+
+    -- Free-text coding. A comment is one text answer: (submission, key).
+    CREATE TABLE IF NOT EXISTS comment_themes (
+      id SERIAL PRIMARY KEY,
+      survey_id TEXT NOT NULL REFERENCES surveys (id),
+      name TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS comment_themes_name
+      ON comment_themes (survey_id, lower(name));
+
+    CREATE TABLE IF NOT EXISTS comment_tags (
+      submission_id INTEGER NOT NULL
+        REFERENCES submissions (id) ON DELETE CASCADE,
+      question_key TEXT NOT NULL,
+      theme_id INTEGER NOT NULL
+        REFERENCES comment_themes (id) ON DELETE CASCADE,
+      PRIMARY KEY (submission_id, question_key, theme_id)
+    );
+
+    -- Comments picked as representative quotes for exports and the report
+    CREATE TABLE IF NOT EXISTS comment_quotes (
+      submission_id INTEGER NOT NULL
+        REFERENCES submissions (id) ON DELETE CASCADE,
+      question_key TEXT NOT NULL,
+      PRIMARY KEY (submission_id, question_key)
+    );
+
+    -- PII redaction: names to remove from comments, and the unredacted text
+    -- of comments that were changed on submission (district admins only)
+    CREATE TABLE IF NOT EXISTS redaction_names (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS redaction_names_name
+      ON redaction_names (lower(name));
+
+    CREATE TABLE IF NOT EXISTS comment_originals (
+      submission_id INTEGER NOT NULL
+        REFERENCES submissions (id) ON DELETE CASCADE,
+      question_key TEXT NOT NULL,
+      original TEXT NOT NULL,
+      PRIMARY KEY (submission_id, question_key)
+    );
+
+    -- Families per building for a survey cycle (cycle NULL = the active
+    -- one), the denominator of the response rate
+    CREATE TABLE IF NOT EXISTS enrollment_targets (
+      survey_id TEXT NOT NULL REFERENCES surveys (id),
+      cycle TEXT,
+      building_id TEXT NOT NULL,
+      families INTEGER NOT NULL CHECK (families > 0),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS enrollment_targets_building
+      ON enrollment_targets (survey_id, COALESCE(cycle, ''), building_id);
+
+    -- Partly answered surveys saved to finish later, found by a hash of
+    -- their resume token. A submitted draft is deleted; an abandoned one
+    -- (expired, or left open when its cycle closed) loses its answers and
+    -- token but keeps the sections and buildings it reached, for the
+    -- completion funnel.
+    CREATE TABLE IF NOT EXISTS survey_drafts (
+      id SERIAL PRIMARY KEY,
+      survey_id TEXT NOT NULL REFERENCES surveys (id),
+      cycle TEXT,
+      token_hash TEXT UNIQUE,
+      payload JSONB,
+      sections TEXT[] NOT NULL DEFAULT '{}',
+      buildings TEXT[] NOT NULL DEFAULT '{}',
+      status TEXT NOT NULL DEFAULT 'open'
+        CHECK (status IN ('open', 'abandoned')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      expires_at TIMESTAMPTZ NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS survey_drafts_survey
+      ON survey_drafts (survey_id, cycle);
+
+    -- Receipts: the hash of a submission's receipt code (cleared when its
+    -- cycle closes). Each edit bumps the revision and copies the replaced
+    -- answers, as stored, into submission_revisions.
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS receipt_hash TEXT;
+    CREATE UNIQUE INDEX IF NOT EXISTS submissions_receipt
+      ON submissions (receipt_hash);
+    ALTER TABLE submissions
+      ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+
+    CREATE TABLE IF NOT EXISTS submission_revisions (
+      submission_id INTEGER NOT NULL
+        REFERENCES submissions (id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
       payload JSONB NOT NULL,
-      UNIQUE (survey_id, ip_hash)
+      definition_version INTEGER,
+      replaced_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+      PRIMARY KEY (submission_id, revision)
+    );
+
+    -- Language the respondent answered in (see definition translations)
+    ALTER TABLE submissions ADD COLUMN IF NOT EXISTS language TEXT;
+  `);
+
+  if (APPS_SCRIPT_URL) {
+    await pool.query(
+      `INSERT INTO webhook_targets (name, url, secret)
+       VALUES ('google_sheet', $1, $2)
+       ON CONFLICT (name) DO UPDATE SET url = EXCLUDED.url`,
+      [APPS_SCRIPT_URL, crypto.randomBytes(32).toString('hex')]
     );
+  }
+
+  // The default survey always exists, and so does any survey that already
+  // has submissions from before the registry was introduced.
+  await pool.query(
+    'INSERT INTO surveys (id, title) VALUES ($1, $2) ON CONFLICT (id) DO NOTHING',
+    [DEFAULT_SURVEY_ID, DEFAULT_SURVEY_TITLE]
+  );
+  await pool.query(`
+    INSERT INTO surveys (id, title)
+    SELECT DISTINCT survey_id, survey_id FROM submissions
+    ON CONFLICT (id) DO NOTHING;
   `);
+
+  if (ADMIN_BOOTSTRAP_USERNAME && ADMIN_BOOTSTRAP_PASSWORD) {
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS n FROM admin_users');
+    if (!rows[0].n) {
+      await pool.query(
+        `INSERT INTO admin_users (username, password_hash, role)
+         VALUES ($1, $2, 'district_admin')
+         ON CONFLICT (username) DO NOTHING`,
+        [
+          ADMIN_BOOTSTRAP_USERNAME,
+          await hashPassword(ADMIN_BOOTSTRAP_PASSWORD),
+        ]
+      );
+      console.log(`Created bootstrap admin ${ADMIN_BOOTSTRAP_USERNAME}`);
+    }
+  }
+
+  // Seed the bundled parent/family definition as version 1
+  await pool.query(
+    `INSERT INTO survey_definitions (survey_id, version, definition)
+     VALUES ($1, 1, $2)
+     ON CONFLICT (survey_id, version) DO NOTHING`,
+    [DEFAULT_SURVEY_ID, DEFAULT_DEFINITION]
+  );
 }
 
 // --------- Express app ---------
@@ -59,7 +416,27 @@ if (TRUST_PROXY) app.set('trust proxy', true);
 
 app.use(helmet());
 app.use(cors({ origin: '*' })); // you can restrict later if desired
+// Rate-limit submissions and draft saves before parsing them, with a
+// tighter body limit than the admin routes need
+app.use(
+  [
+    '/submit',
+    '/surveys/:id/submit',
+    '/surveys/:id/drafts',
+    '/surveys/:id/receipts',
+  ],
+  submitRateLimit,
+  express.json({ limit: '100kb' })
+);
 app.use(express.json({ limit: '1mb' }));
+// Resume tokens and receipt codes open a family's answers, so they stay
+// out of the request log
+morgan.token('url', (req) =>
+  (req.originalUrl || req.url).replace(
+    /\/(drafts|receipts)\/[^/?]+/,
+    '/$1/:token'
+  )
+);
 app.use(morgan('tiny'));
 
 // Serve static admin assets from /public
@@ -96,7 +473,99 @@ function makeIpHash(ip, allowMultiple) {
   return crypto.createHmac('sha256', SALT).update(base).digest('hex');
 }
 
-function validatePayload(payload) {
+// --------- Submission abuse checks ---------
+
+// Fixed-window counters per client IP and overall. The maps start over
+// every window, so memory stays bounded without an external store.
+let submitWindow = { start: 0, total: 0, perIp: new Map() };
+
+function submitRateLimit(req, res, next) {
+  if (req.method !== 'POST' && req.method !== 'PUT') return next();
+
+  const now = Date.now();
+  const windowMs = SUBMIT_RATE_WINDOW_MINUTES * 60 * 1000;
+  if (now - submitWindow.start >= windowMs) {
+    submitWindow = { start: now, total: 0, perIp: new Map() };
+  }
+
+  const ip = getClientIp(req);
+  const count = (submitWindow.perIp.get(ip) || 0) + 1;
+  const limit = isIpWhitelisted(ip)
+    ? SUBMIT_RATE_PER_WHITELISTED_IP
+    : SUBMIT_RATE_PER_IP;
+  if (count > limit || submitWindow.total >= SUBMIT_RATE_GLOBAL) {
+    const retryAfter = Math.ceil((submitWindow.start + windowMs - now) / 1000);
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'rate_limited' });
+  }
+  submitWindow.perIp.set(ip, count);
+  submitWindow.total += 1;
+  return next();
+}
+
+// Reason to quarantine a submission, or null. Both checks are opt-in for
+// the front end: "_hp" is a hidden field people never fill in, "_startedAt"
+// is when the form was opened (ms since epoch).
+function quarantineReason(meta) {
+  if (meta._hp) return 'honeypot';
+  if (meta._startedAt !== undefined && SUBMIT_MIN_FILL_SECONDS > 0) {
+    const started = Number(meta._startedAt);
+    const elapsed = (Date.now() - started) / 1000;
+    if (!Number.isFinite(started) || elapsed < SUBMIT_MIN_FILL_SECONDS) {
+      return 'too_fast';
+    }
+  }
+  return null;
+}
+
+// Body keys starting with "_" carry submission metadata (such as "_invite",
+// the invitation code) rather than answers; they never reach the payload.
+function splitSubmission(body) {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return { payload: body, meta: {} };
+  }
+  const payload = {};
+  const meta = {};
+  for (const [k, v] of Object.entries(body)) {
+    if (k.startsWith('_')) meta[k] = v;
+    else payload[k] = v;
+  }
+  return { payload, meta };
+}
+
+// --------- Invitation codes ---------
+//
+// Codes are 10 characters from an alphabet without look-alikes (0/O, 1/I/L),
+// printed as XXXXX-XXXXX. Respondents may type them in any case, with or
+// without the dash.
+
+const INVITATION_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITATION_CODE_LENGTH = 10;
+const MAX_INVITATIONS_PER_BATCH = 5000;
+
+// Also used for receipt codes (see Receipts)
+function randomCode(length) {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += INVITATION_ALPHABET[crypto.randomInt(INVITATION_ALPHABET.length)];
+  }
+  return code;
+}
+
+function generateInvitationCode() {
+  return randomCode(INVITATION_CODE_LENGTH);
+}
+
+function normalizeCode(value) {
+  if (typeof value !== 'string') return '';
+  return value.toUpperCase().replace(/[\s-]+/g, '');
+}
+
+function formatInvitationCode(code) {
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+function validatePayload(payload, definition) {
   if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
     return 'Payload must be an object with key/value pairs.';
   }
@@ -112,212 +581,6341 @@ function validatePayload(payload) {
     }
     if (String(v).length > 2000) return 'Field value too long.';
   }
+  if (!definition) return null;
+
+  // Survey has a definition: every key must be a known question (or one of
+  // its building variants) and every value must be allowed for its type.
+  // Yes/no answers are stored as 'yes' or 'no' whichever spelling came in.
+  const index = indexDefinition(definition);
+  for (const k of keys) {
+    const entry = index[k];
+    if (!entry) return `Unknown field: ${k}`;
+    const error = validateAnswer(entry.question, payload[k]);
+    if (error) return `${k}: ${error}`;
+    if (entry.question.type === 'yesno' && yesNoValue(payload[k]) !== null) {
+      payload[k] = yesNoValue(payload[k]);
+    }
+  }
   return null;
 }
 
-// --------- Routes ---------
+// --------- Survey window ---------
+//
+// A survey takes submissions, draft saves and receipt edits only between
+// its opens_at and closes_at. Reading a draft or receipt still works
+// outside the window.
 
-// Health check
-app.get('/health', async (_req, res) => {
-  try {
-    await pool.query('SELECT 1');
-    res.json({ ok: true, surveyId: SURVEY_ID });
-  } catch (err) {
-    console.error('Health check DB error:', err);
-    res.status(500).json({ ok: false, error: 'db_unreachable' });
-  }
-});
+// 'scheduled' before it opens, 'closed' once it has closed, else 'open'
+function surveyState(survey, now = new Date()) {
+  if (survey.opens_at && now < survey.opens_at) return 'scheduled';
+  if (survey.closes_at && now >= survey.closes_at) return 'closed';
+  return 'open';
+}
 
-// Survey submission
-app.post('/submit', async (req, res) => {
-  const ip = getClientIp(req);
-  const whitelisted = isIpWhitelisted(ip);
-  const ip_hash = makeIpHash(ip, whitelisted);
+function surveyWindow(survey) {
+  return {
+    state: surveyState(survey),
+    opensAt: survey.opens_at,
+    closesAt: survey.closes_at,
+  };
+}
 
-  const payload = req.body;
-  const validationError = validatePayload(payload);
-  if (validationError) {
-    return res
-      .status(400)
-      .json({ error: 'invalid_payload', message: validationError });
+// The 403 body for a survey outside its window, or null while it's open
+function windowRejection(survey) {
+  const state = surveyState(survey);
+  if (state === 'scheduled') {
+    return {
+      error: 'survey_not_open',
+      message: 'This survey is not open yet.',
+      opensAt: survey.opens_at,
+    };
   }
+  if (state === 'closed') {
+    return {
+      error: 'survey_closed',
+      message: 'This survey is closed.',
+      closesAt: survey.closes_at,
+    };
+  }
+  return null;
+}
 
-  try {
-    await ensureSchema();
+// --------- Drafts ---------
+//
+// A family can save a partly answered survey and come back to it later
+// with the resume token they get back (the front end keeps it, e.g. in a
+// link). Only its hash is stored. Answers are checked against the
+// definition on every save and again when the draft is submitted.
 
-    await pool.query(
-      'INSERT INTO submissions (survey_id, ip_hash, payload) VALUES ($1, $2, $3)',
-      [SURVEY_ID, ip_hash, payload]
-    );
-
-    // Optional: forward to Google Apps Script Web App (Sheet)
-    if (APPS_SCRIPT_URL) {
-      // Node 18+ has global fetch
-      fetch(APPS_SCRIPT_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          surveyId: SURVEY_ID,
-          payload,
-          submittedAt: new Date().toISOString(),
-        }),
-      })
-        .then(async (r) => {
-          if (!r.ok) {
-            const text = await r.text().catch(() => '');
-            console.warn('Apps Script HTTP error:', r.status, text);
-          } else {
-            const text = await r.text().catch(() => '');
-            console.log('Apps Script success response:', text);
-          }
-        })
-        .catch((err) => {
-          console.warn('Apps Script forward failed:', err.message || err);
-        });
-    }
+const DRAFT_TOKEN_BYTES = 24; // 32 characters in base64url
 
-    console.log(
-      `Submission stored from IP ${ip} (whitelisted=${whitelisted}) with hash ${ip_hash}`
-    );
+function generateDraftToken() {
+  return crypto.randomBytes(DRAFT_TOKEN_BYTES).toString('base64url');
+}
 
-    return res.json({ ok: true });
-  } catch (err) {
-    if (err && err.code === '23505') {
-      // unique violation → duplicate IP (non-whitelisted)
-      return res.status(403).json({ error: 'duplicate_ip' });
-    }
-    console.error('Submit error:', err);
-    return res.status(500).json({ error: 'server_error' });
+// Answers and metadata from a draft request body, or null if it isn't an
+// object. A null or "" answer clears a saved one.
+function draftChanges(body) {
+  const { payload, meta } = splitSubmission(body);
+  if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+    return null;
   }
-});
+  return { changes: payload, meta };
+}
 
-// --- Admin route to clear all submissions (for testing / new year) ---
-// WARNING: this wipes the entire submissions table.
-app.get('/admin/reset', async (req, res) => {
-  try {
-    if (!ADMIN_TOKEN) {
-      return res.status(500).json({ error: 'admin_token_not_set' });
-    }
+function mergeDraftAnswers(saved, changes) {
+  const merged = { ...saved };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null || value === '') delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
+}
 
-    const token = req.query.token;
-    if (token !== ADMIN_TOKEN) {
-      return res.status(403).json({ error: 'forbidden' });
-    }
+// Section ids and building ids a draft has answers for
+function draftProgress(index, payload) {
+  const sections = new Set();
+  for (const key of Object.keys(payload)) {
+    if (index[key]) sections.add(index[key].section.id);
+  }
+  return {
+    sections: [...sections],
+    buildings: [...respondentBuildings(index, payload)],
+  };
+}
 
-    await ensureSchema();
-    await pool.query('TRUNCATE TABLE submissions;');
+// Drafts past their expiry lose their answers and token
+async function expireDrafts() {
+  await pool.query(
+    `UPDATE survey_drafts
+     SET status = 'abandoned', payload = NULL, token_hash = NULL
+     WHERE status = 'open' AND expires_at < now()`
+  );
+}
 
-    return res.json({ ok: true, message: 'Submissions table truncated.' });
-  } catch (err) {
-    console.error('Admin reset error:', err);
-    return res
-      .status(500)
-      .json({ error: 'server_error', message: String(err) });
-  }
-});
+// Open draft for a resume token, or null
+async function findDraft(surveyId, token) {
+  await ensureSchema();
+  const { rows } = await pool.query(
+    `SELECT id, payload, sections, created_at, updated_at, expires_at
+     FROM survey_drafts
+     WHERE survey_id = $1 AND token_hash = $2 AND status = 'open'
+       AND expires_at > now()`,
+    [surveyId, sha256(token)]
+  );
+  return rows[0] || null;
+}
 
-// --- Admin summary route (used by admin.html/admin.js) ---
-async function buildSummary() {
+// --------- Receipts ---------
+//
+// Every submission gets a receipt code, shown once in the /submit response.
+// Its holder can read and change their answers while the cycle is open;
+// only a hash of the code is stored, and closing the cycle clears it.
+// Codes are 16 characters from the invitation alphabet, printed as
+// XXXX-XXXX-XXXX-XXXX.
+
+const RECEIPT_CODE_LENGTH = 16;
+
+function generateReceiptCode() {
+  return randomCode(RECEIPT_CODE_LENGTH);
+}
+
+function formatReceiptCode(code) {
+  return code.match(/.{1,4}/g).join('-');
+}
+
+// Submission (in the active cycle) for a receipt code, or null
+async function findReceipt(surveyId, code) {
   await ensureSchema();
+  const { rows } = await pool.query(
+    `SELECT id, payload, status, revision, definition_version, language,
+            submitted_at, updated_at
+     FROM submissions
+     WHERE survey_id = $1 AND receipt_hash = $2 AND cycle IS NULL`,
+    [surveyId, sha256(normalizeCode(code))]
+  );
+  return rows[0] || null;
+}
 
+// Unredacted answers as the respondent gave them
+async function receiptAnswers(submission) {
   const { rows } = await pool.query(
-    'SELECT payload FROM submissions WHERE survey_id = $1',
-    [SURVEY_ID]
+    'SELECT question_key, original FROM comment_originals WHERE submission_id = $1',
+    [submission.id]
   );
+  const answers = { ...submission.payload };
+  for (const row of rows) answers[row.question_key] = row.original;
+  return answers;
+}
 
-  const questions = {};
-  const freeText = {};
-  const totalSubmissions = rows.length;
+async function storeCommentOriginals(client, submissionId, originals) {
+  const keys = Object.keys(originals);
+  if (!keys.length) return;
+  await client.query(
+    `INSERT INTO comment_originals (submission_id, question_key, original)
+     SELECT $1, k, o FROM unnest($2::text[], $3::text[]) AS t (k, o)`,
+    [submissionId, keys, keys.map((k) => originals[k])]
+  );
+}
 
-  for (const row of rows) {
-    const payload = row.payload || {};
-    for (const [key, rawVal] of Object.entries(payload)) {
-      const val = rawVal == null ? '' : String(rawVal).trim();
+// --------- Survey definitions ---------
+//
+// A definition describes one version of a survey:
+//
+//   {
+//     title,
+//     buildings: [{ id: 'elem', label: 'Elementary' }, ...],
+//     sections: [{ id, title, questions: [{ key, text, type, ... }] }]
+//   }
+//
+// Question types:
+//   scale  – whole number between `min` and `max` (default 1–5)
+//   choice – one of `options` ([{ value, label }])
+//   multi  – any of `options` (check all that apply), the chosen values
+//            joined with commas, e.g. "bus,car"; "" for none
+//   yesno  – "yes" or "no" (true / false are accepted too)
+//   nps    – whole number from 0 to 10 (how likely to recommend)
+//   text   – free text up to `maxLength` characters (default 2000)
+//
+// Any type but text can set `allowNA: true` to also accept "na" (don't
+// know / not applicable). N/A answers are counted but left out of averages
+// and percentages.
+//
+// A question with `perBuilding: true` is answered once per building, under
+// the keys `<key>_<building id>` (e.g. `safety_child_safe_ms`).
+//
+// A choice question with `buildingField: true` asks which building the
+// respondent is answering about; its option values are building ids. It
+// decides where the respondent's free-text comments are grouped.
+//
+// The text above is in `language` (default "en"). `translations` adds other
+// languages, keyed by language code; anything a translation leaves out is
+// shown in the default language:
+//
+//   translations: {
+//     es: {
+//       name: 'Español',
+//       title,
+//       buildings: { elem: 'Primaria' },
+//       sections: {
+//         community: {
+//           title,
+//           questions: { community_welcomed: { text, options: { <value>: label } } },
+//         },
+//       },
+//     },
+//   }
 
-      // Free-text fields (section open responses)
-      if (key.endsWith('_free')) {
-        if (!val) continue;
-        if (!freeText[key]) {
-          freeText[key] = {
-            key,
-            responses: 0,
-            // grouped by "building" label – currently we only know "All / N/A"
-            byBuilding: {
-              'All / N/A': [],
-            },
-          };
+const QUESTION_TYPES = ['scale', 'choice', 'multi', 'yesno', 'nps', 'text'];
+const OPTION_TYPES = ['choice', 'multi'];
+const NA_VALUE = 'na';
+// A scale runs over at most this many steps (1-5, 0-10, ...)
+const MAX_SCALE_SPAN = 10;
+// Keys may not start with "_": those are reserved for submission metadata
+const KEY_PATTERN = /^[a-z0-9][a-z0-9_]{0,149}$/;
+const NO_BUILDING_LABEL = 'All / N/A';
+const DEFAULT_LANGUAGE = 'en';
+// "es", "pt-br", "zh-hant"
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/;
+
+function validateDefinition(def) {
+  if (typeof def !== 'object' || def === null || Array.isArray(def)) {
+    return 'Definition must be an object.';
+  }
+  if (typeof def.title !== 'string' || !def.title.trim()) {
+    return 'Definition needs a title.';
+  }
+
+  const buildings = def.buildings || [];
+  if (!Array.isArray(buildings)) return 'buildings must be an array.';
+  const buildingIds = new Set();
+  for (const b of buildings) {
+    if (!b || !KEY_PATTERN.test(b.id || '') || typeof b.label !== 'string') {
+      return 'Each building needs an id (a-z, 0-9, _) and a label.';
+    }
+    if (buildingIds.has(b.id)) return `Duplicate building id: ${b.id}`;
+    buildingIds.add(b.id);
+  }
+
+  if (!Array.isArray(def.sections) || !def.sections.length) {
+    return 'Definition needs at least one section.';
+  }
+  const seen = new Set();
+  for (const section of def.sections) {
+    if (!section || !KEY_PATTERN.test(section.id || '')) {
+      return 'Each section needs an id (a-z, 0-9, _).';
+    }
+    if (typeof section.title !== 'string') {
+      return `Section ${section.id} needs a title.`;
+    }
+    if (!Array.isArray(section.questions)) {
+      return `Section ${section.id} needs a questions array.`;
+    }
+    for (const q of section.questions) {
+      if (!q || !KEY_PATTERN.test(q.key || '')) {
+        return `Invalid question key in section ${section.id}.`;
+      }
+      if (typeof q.text !== 'string' || !q.text.trim()) {
+        return `Question ${q.key} needs text.`;
+      }
+      if (!QUESTION_TYPES.includes(q.type)) {
+        return `Question ${q.key} has unknown type "${q.type}".`;
+      }
+      if (OPTION_TYPES.includes(q.type)) {
+        const options = q.options;
+        if (!Array.isArray(options) || !options.length) {
+          return `Question ${q.key} needs options.`;
+        }
+        if (options.some((o) => !o || o.value == null || o.value === '')) {
+          return `Question ${q.key} has an option without a value.`;
+        }
+        if (q.type === 'multi' && options.some((o) => String(o.value).includes(','))) {
+          return `Question ${q.key} has an option value with a comma.`;
+        }
+        if (q.allowNA && options.some((o) => String(o.value) === NA_VALUE)) {
+          return `Question ${q.key} allows N/A, so no option can be "${NA_VALUE}".`;
         }
-        freeText[key].responses += 1;
-        freeText[key].byBuilding['All / N/A'].push(val);
-        continue;
+      }
+      if (q.type === 'scale') {
+        const { min, max } = answerRange(q);
+        if (!Number.isInteger(min) || !Number.isInteger(max)) {
+          return `Scale ${q.key} needs whole-number min and max.`;
+        }
+        if (min >= max || max - min > MAX_SCALE_SPAN) {
+          return `Scale ${q.key} needs a max above its min by at most ${MAX_SCALE_SPAN}.`;
+        }
+      }
+      if (q.allowNA && q.type === 'text') {
+        return `Text question ${q.key} can't allow N/A.`;
+      }
+      if (q.buildingField) {
+        if (q.type !== 'choice' || q.perBuilding) {
+          return `Building field ${q.key} must be a choice question answered once.`;
+        }
+        if (q.options.some((o) => !buildingIds.has(String(o.value)))) {
+          return `Building field ${q.key} options must be building ids.`;
+        }
+      }
+      if (q.perBuilding && !buildingIds.size) {
+        return `Question ${q.key} is per-building but no buildings are defined.`;
       }
 
-      // Numeric 1–5 scale responses
-      const num = Number(val);
-      if (!Number.isFinite(num) || num < 1 || num > 5) continue;
-
-      if (!questions[key]) {
-        questions[key] = {
-          key,
-          responses: 0,
-          sum: 0,
-          counts: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
-          type: 'scale',
-        };
+      const keys = q.perBuilding
+        ? [...buildingIds].map((b) => `${q.key}_${b}`)
+        : [q.key];
+      for (const k of keys) {
+        if (seen.has(k)) return `Duplicate question key: ${k}`;
+        seen.add(k);
       }
-      const q = questions[key];
-      q.responses += 1;
-      q.sum += num;
-      q.counts[num] = (q.counts[num] || 0) + 1;
     }
   }
 
-  // Compute averages
-  Object.values(questions).forEach((q) => {
-    q.average = q.responses ? q.sum / q.responses : null;
-  });
+  if (def.language !== undefined && !LANGUAGE_PATTERN.test(def.language)) {
+    return 'language must be a lowercase language code such as "en".';
+  }
+  return validateTranslations(def);
+}
 
-  return {
-    surveyId: SURVEY_ID,
-    totalSubmissions,
-    questions,
-    freeText,
-  };
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
 }
 
-// Protected summary endpoint
-app.get('/admin/summary', async (req, res) => {
-  try {
-    if (!ADMIN_TOKEN) {
-      return res.status(500).json({ error: 'admin_token_not_set' });
+// Translations may only name buildings, sections, questions and options
+// the definition has, and every text they give must be a non-empty string
+function validateTranslations(def) {
+  if (def.translations === undefined) return null;
+  if (!isPlainObject(def.translations)) return 'translations must be an object.';
+  const isText = (value) => typeof value === 'string' && value.trim() !== '';
+  const optional = (value) => value === undefined || isText(value);
+
+  for (const [code, t] of Object.entries(def.translations)) {
+    if (!LANGUAGE_PATTERN.test(code)) {
+      return `Translation "${code}" needs a lowercase language code such as "es".`;
     }
-    const token = req.query.token;
-    if (token !== ADMIN_TOKEN) {
-      return res.status(403).json({ error: 'forbidden' });
+    if (code === defaultLanguage(def)) {
+      return `Translation "${code}" is the definition's own language.`;
+    }
+    if (!isPlainObject(t)) return `Translation ${code} must be an object.`;
+    if (!optional(t.name) || !optional(t.title)) {
+      return `Translation ${code}: name and title must be text.`;
     }
 
-    const summary = await buildSummary();
-    return res.json({ ok: true, summary });
-  } catch (err) {
-    console.error('Admin summary error:', err);
-    return res
-      .status(500)
-      .json({ error: 'server_error', message: String(err) });
-  }
-});
+    const buildings = t.buildings || {};
+    if (!isPlainObject(buildings)) {
+      return `Translation ${code}: buildings must be an object.`;
+    }
+    for (const [id, label] of Object.entries(buildings)) {
+      if (!(def.buildings || []).some((b) => b.id === id)) {
+        return `Translation ${code}: unknown building ${id}.`;
+      }
+      if (!isText(label)) return `Translation ${code}: building ${id} needs text.`;
+    }
 
-// Optional public alias (if you’ve ever hit /summary directly)
-app.get('/summary', async (req, res) => {
-  try {
-    const summary = await buildSummary();
-    return res.json({ ok: true, summary });
-  } catch (err) {
-    console.error('Summary error:', err);
-    return res
-      .status(500)
-      .json({ error: 'server_error', message: String(err) });
-  }
-});
+    const sections = t.sections || {};
+    if (!isPlainObject(sections)) {
+      return `Translation ${code}: sections must be an object.`;
+    }
+    for (const [id, ts] of Object.entries(sections)) {
+      const section = def.sections.find((s) => s.id === id);
+      if (!section) return `Translation ${code}: unknown section ${id}.`;
+      if (!isPlainObject(ts) || !optional(ts.title)) {
+        return `Translation ${code}: section ${id} needs a text title.`;
+      }
+      const questions = ts.questions || {};
+      if (!isPlainObject(questions)) {
+        return `Translation ${code}: questions of section ${id} must be an object.`;
+      }
+      for (const [key, tq] of Object.entries(questions)) {
+        const question = section.questions.find((q) => q.key === key);
+        if (!question) {
+          return `Translation ${code}: unknown question ${key} in section ${id}.`;
+        }
+        if (!isPlainObject(tq) || !optional(tq.text)) {
+          return `Translation ${code}: question ${key} needs text.`;
+        }
+        if (tq.options === undefined) continue;
+        if (!isPlainObject(tq.options) || !question.options) {
+          return `Translation ${code}: question ${key} has no options to translate.`;
+        }
+        for (const [value, label] of Object.entries(tq.options)) {
+          if (!question.options.some((o) => String(o.value) === value)) {
+            return `Translation ${code}: question ${key} has no option ${value}.`;
+          }
+          if (!isText(label)) {
+            return `Translation ${code}: option ${value} of ${key} needs text.`;
+          }
+        }
+      }
+    }
+  }
+  return null;
+}
+
+function defaultLanguage(def) {
+  return def.language || DEFAULT_LANGUAGE;
+}
+
+// A language's name in that language ("Español"), unless the definition
+// gives one
+function languageName(code, translation) {
+  if (translation && translation.name) return translation.name;
+  try {
+    const name = new Intl.DisplayNames([code], { type: 'language' }).of(code);
+    return name.charAt(0).toLocaleUpperCase(code) + name.slice(1);
+  } catch (_err) {
+    return code;
+  }
+}
+
+// [{ code, name }], the definition's own language first
+function definitionLanguages(def) {
+  const translations = def.translations || {};
+  return [
+    { code: defaultLanguage(def), name: languageName(defaultLanguage(def)) },
+    ...Object.entries(translations).map(([code, t]) => ({
+      code,
+      name: languageName(code, t),
+    })),
+  ];
+}
+
+// The definition as shown in `language` (its own language when that isn't
+// offered), with `language` and the offered `languages` set and the
+// translations themselves left out
+function localizeDefinition(def, language) {
+  const { translations = {}, ...rest } = def;
+  const code = Object.hasOwn(translations, language)
+    ? language
+    : defaultLanguage(def);
+  const t = translations[code] || {};
+  const buildingLabels = t.buildings || {};
+  const sectionText = t.sections || {};
+  return {
+    ...rest,
+    title: t.title || def.title,
+    language: code,
+    languages: definitionLanguages(def),
+    buildings: (def.buildings || []).map((b) => ({
+      ...b,
+      label: buildingLabels[b.id] || b.label,
+    })),
+    sections: def.sections.map((section) => {
+      const ts = sectionText[section.id] || {};
+      const questionText = ts.questions || {};
+      return {
+        ...section,
+        title: ts.title || section.title,
+        questions: section.questions.map((q) => {
+          const tq = questionText[q.key] || {};
+          const labels = tq.options || {};
+          return {
+            ...q,
+            text: tq.text || q.text,
+            ...(q.options && {
+              options: q.options.map((o) => ({
+                ...o,
+                label: labels[String(o.value)] || o.label,
+              })),
+            }),
+          };
+        }),
+      };
+    }),
+  };
+}
+
+// Language of a submission from its _lang: one the definition offers, or
+// the definition's own language when left out; undefined when it isn't
+// offered. Surveys without a definition take any language code.
+function submissionLanguage(definition, value) {
+  const code =
+    value === undefined || value === null || value === ''
+      ? null
+      : String(value).trim().toLowerCase();
+  if (!definition) {
+    return !code || LANGUAGE_PATTERN.test(code) ? code : undefined;
+  }
+  if (!code) return defaultLanguage(definition);
+  return definitionLanguages(definition).some((l) => l.code === code)
+    ? code
+    : undefined;
+}
+
+// Map every concrete payload key to its question, section and building.
+function indexDefinition(def) {
+  const index = {};
+  const buildings = def.buildings || [];
+  def.sections.forEach((section) => {
+    for (const question of section.questions) {
+      if (question.perBuilding) {
+        for (const building of buildings) {
+          index[`${question.key}_${building.id}`] = {
+            question,
+            section,
+            building,
+          };
+        }
+      } else {
+        index[question.key] = { question, section, building: null };
+      }
+    }
+  });
+  return index;
+}
+
+// Category (section title) and building label for a payload key
+function keyMeta(index, key) {
+  const entry = index[key];
+  return {
+    category: entry ? entry.section.title : 'Other',
+    building:
+      entry && entry.building ? entry.building.label : NO_BUILDING_LABEL,
+  };
+}
+
+// Building ids a respondent answered per-building questions for
+function respondentBuildings(index, payload) {
+  const buildings = new Set();
+  for (const key of Object.keys(payload || {})) {
+    const entry = index[key];
+    if (entry && entry.building) buildings.add(entry.building.id);
+  }
+  return buildings;
+}
+
+// Building scope (list of building ids, or null for everything): a
+// respondent is in scope if they answered for one of the scoped buildings,
+// and a key is in scope unless it belongs to a building outside it.
+function rowInScope(index, payload, scope) {
+  if (!scope) return true;
+  for (const b of respondentBuildings(index, payload)) {
+    if (scope.includes(b)) return true;
+  }
+  return false;
+}
+
+function keyInScope(index, key, scope) {
+  if (!scope) return true;
+  const entry = index[key];
+  return !(entry && entry.building) || scope.includes(entry.building.id);
+}
+
+// Buildings a respondent's free-text comments belong to, in definition
+// order: the building field if they answered it (or a `building` key in
+// surveys without a definition), otherwise every building they answered
+// per-building questions for. Within a building scope only scoped buildings
+// count, so an empty list can mean either "none" or "none in scope"; use
+// commentLabels() to tell them apart.
+function commentBuildings(definition, index, payload, scope) {
+  const buildings = (definition && definition.buildings) || [];
+  let ids = null;
+
+  for (const [key, value] of Object.entries(payload || {})) {
+    const entry = index[key];
+    if (entry && entry.question.buildingField && value !== '') {
+      ids = [String(value)];
+      break;
+    }
+  }
+  if (!ids && !definition && typeof payload.building === 'string') {
+    ids = [payload.building.trim()];
+  }
+  if (!ids) ids = [...respondentBuildings(index, payload)];
+
+  const chosen = buildings.filter(
+    (b) => ids.includes(b.id) && (!scope || scope.includes(b.id))
+  );
+  if (!definition) return ids.filter(Boolean);
+  return chosen.map((b) => b.label);
+}
+
+// Building labels a respondent's comments are listed under: their buildings
+// within the scope, "All / N/A" when they have no building at all, and none
+// (leave the comments out) when every one of them is outside the scope
+function commentLabels(definition, index, payload, scope) {
+  const labels = commentBuildings(definition, index, payload, scope);
+  if (labels.length) return labels;
+  const unscoped = scope
+    ? commentBuildings(definition, index, payload, null)
+    : [];
+  return unscoped.length ? [] : [NO_BUILDING_LABEL];
+}
+
+function validateAnswer(question, value) {
+  if (question.allowNA && String(value) === NA_VALUE) return null;
+  if (question.type === 'scale' || question.type === 'nps') {
+    const { min, max } = answerRange(question);
+    // Number(true) is 1, so only numbers and numeric text get this far
+    const num =
+      typeof value === 'number' || typeof value === 'string'
+        ? Number(value)
+        : NaN;
+    if (
+      String(value).trim() === '' ||
+      !Number.isInteger(num) ||
+      num < min ||
+      num > max
+    ) {
+      return `must be a whole number from ${min} to ${max}.`;
+    }
+    return null;
+  }
+  if (question.type === 'choice') {
+    const allowed = question.options.map((o) => String(o.value));
+    if (!allowed.includes(String(value))) {
+      return `must be one of ${allowed.join(', ')}.`;
+    }
+    return null;
+  }
+  if (question.type === 'multi') {
+    const allowed = question.options.map((o) => String(o.value));
+    const chosen = multiValues(value);
+    if (typeof value !== 'string' || chosen.some((v) => !allowed.includes(v))) {
+      return `must be any of ${allowed.join(', ')}, separated by commas.`;
+    }
+    return null;
+  }
+  if (question.type === 'yesno') {
+    if (yesNoValue(value) === null) return 'must be yes or no.';
+    return null;
+  }
+  // text
+  if (typeof value !== 'string') return 'must be text.';
+  if (value.length > (question.maxLength || 2000)) return 'is too long.';
+  return null;
+}
+
+// Whole-number range of a scale or NPS question
+function answerRange(question) {
+  return question.type === 'nps'
+    ? { min: 0, max: 10 }
+    : { min: question.min ?? 1, max: question.max ?? 5 };
+}
+
+// Chosen option values of a multi answer ("bus,car"), without duplicates
+function multiValues(value) {
+  return [
+    ...new Set(
+      String(value)
+        .split(',')
+        .map((v) => v.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function yesNoValue(value) {
+  const v = String(value).trim().toLowerCase();
+  if (v === 'yes' || v === 'true') return 'yes';
+  if (v === 'no' || v === 'false') return 'no';
+  return null;
+}
+
+// Current (or a specific) definition version for a survey, or null
+async function getDefinition(surveyId, version) {
+  await ensureSchema();
+  const { rows } = version
+    ? await pool.query(
+        `SELECT version, definition, created_at FROM survey_definitions
+         WHERE survey_id = $1 AND version = $2`,
+        [surveyId, version]
+      )
+    : await pool.query(
+        `SELECT version, definition, created_at FROM survey_definitions
+         WHERE survey_id = $1 ORDER BY version DESC LIMIT 1`,
+        [surveyId]
+      );
+  if (!rows.length) return null;
+  return { ...rows[0].definition, version: rows[0].version };
+}
+
+const SURVEY_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+async function findSurvey(surveyId) {
+  if (!SURVEY_ID_PATTERN.test(surveyId || '')) return null;
+  await ensureSchema();
+  const { rows } = await pool.query(
+    `SELECT id, title, created_at, access_mode, opens_at, closes_at
+     FROM surveys WHERE id = $1`,
+    [surveyId]
+  );
+  return rows[0] || null;
+}
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// --------- Respondent segments ---------
+//
+// Summaries and comments can be narrowed to the respondents matching every
+// condition: ?filter[<payload key>]=<value> (repeat the parameter for "any
+// of these values"), ?responseLanguage=<code> (repeatable too) and ?from= /
+// ?to= on submitted_at (inclusive). The conditions become part of the SQL
+// query.
+
+const MAX_SEGMENT_FIELDS = 10;
+const MAX_SEGMENT_VALUES = 50;
+
+// { segment } (null when there are no conditions) or { error }
+function parseSegment(query) {
+  const raw = query.filter === undefined ? {} : query.filter;
+  if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+    return { error: 'Use filter[<field>]=<value>.' };
+  }
+  const keys = Object.keys(raw);
+  if (keys.length > MAX_SEGMENT_FIELDS) {
+    return { error: `At most ${MAX_SEGMENT_FIELDS} fields can be filtered.` };
+  }
+  const fields = {};
+  for (const key of keys) {
+    const values = [].concat(raw[key]);
+    if (!KEY_PATTERN.test(key)) return { error: `Invalid field: ${key}` };
+    if (
+      !values.length ||
+      values.length > MAX_SEGMENT_VALUES ||
+      values.some((v) => typeof v !== 'string')
+    ) {
+      return {
+        error: `${key}: give 1–${MAX_SEGMENT_VALUES} values.`,
+      };
+    }
+    fields[key] = [...new Set(values)];
+  }
+
+  const languages = [].concat(query.responseLanguage ?? []);
+  if (
+    languages.length > MAX_SEGMENT_VALUES ||
+    languages.some((v) => typeof v !== 'string' || !LANGUAGE_PATTERN.test(v))
+  ) {
+    return { error: 'Invalid response language.' };
+  }
+
+  const dates = {};
+  for (const name of ['from', 'to']) {
+    if (!query[name]) continue;
+    const date = new Date(query[name]);
+    if (typeof query[name] !== 'string' || Number.isNaN(date.getTime())) {
+      return { error: `Invalid ${name} date.` };
+    }
+    dates[name] = date;
+  }
+
+  if (!keys.length && !languages.length && !dates.from && !dates.to) {
+    return { segment: null };
+  }
+  return {
+    segment: {
+      fields,
+      languages: [...new Set(languages)],
+      from: dates.from || null,
+      to: dates.to || null,
+    },
+  };
+}
+
+// A building-scoped account may only filter on questions it can see
+function segmentInScope(segment, index, scope) {
+  return (
+    !segment ||
+    Object.keys(segment.fields).every((key) => keyInScope(index, key, scope))
+  );
+}
+
+// " AND ..." conditions on a submissions row (`alias.` prefixed when
+// given), appending their values to `params`
+function segmentConditions(segment, params, alias = '') {
+  if (!segment) return '';
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const conditions = Object.entries(segment.fields).map(
+    ([key, values]) =>
+      `${column('payload')} ->> ${param(key)} = ANY (${param(values)}::text[])`
+  );
+  if (segment.languages.length) {
+    conditions.push(
+      `${column('language')} = ANY (${param(segment.languages)}::text[])`
+    );
+  }
+  if (segment.from) {
+    conditions.push(`${column('submitted_at')} >= ${param(segment.from)}`);
+  }
+  if (segment.to) {
+    conditions.push(`${column('submitted_at')} <= ${param(segment.to)}`);
+  }
+  return conditions.map((c) => `\n       AND ${c}`).join('');
+}
+
+// --------- Minimum cell size ---------
+//
+// A cell is suppressed when fewer than MIN_CELL_SIZE respondents are behind
+// it: a building (its per-building questions and the comments listed under
+// it), a single question, or the whole set of submissions being reported on
+// (a narrow segment, a small building scope, a new survey). Suppressed cells
+// keep their place but carry SUPPRESSED_NOTE instead of results.
+
+const SUPPRESSED_NOTE = `fewer than ${MIN_CELL_SIZE} responses`;
+
+function suppressedCell() {
+  return { suppressed: true, note: SUPPRESSED_NOTE };
+}
+
+function belowMinimum(count) {
+  return count < MIN_CELL_SIZE;
+}
+
+// Building labels a respondent counts toward: the buildings of their
+// comments plus those they answered per-building questions for, or
+// "All / N/A" for neither
+function respondentLabels(definition, index, payload, scope) {
+  const labels = new Set(commentBuildings(definition, index, payload, scope));
+  for (const key of Object.keys(payload || {})) {
+    const entry = index[key];
+    if (entry && entry.building && keyInScope(index, key, scope)) {
+      labels.add(entry.building.label);
+    }
+  }
+  if (!labels.size) labels.add(NO_BUILDING_LABEL);
+  return labels;
+}
+
+// Which cells of a set of (already scoped) submissions are too small:
+// `all` when the whole set is, otherwise the building labels that are
+function cellSuppression(definition, index, rows, scope) {
+  const respondents = {};
+  for (const row of rows) {
+    for (const label of respondentLabels(definition, index, row.payload, scope)) {
+      respondents[label] = (respondents[label] || 0) + 1;
+    }
+  }
+  const all = belowMinimum(rows.length);
+  return {
+    minCellSize: MIN_CELL_SIZE,
+    all,
+    buildings: Object.keys(respondents).filter(
+      (label) => all || belowMinimum(respondents[label])
+    ),
+  };
+}
+
+// The same for a survey cycle, scope and segment straight from the table
+async function loadSuppression(surveyId, cycle, definition, scope, segment = null) {
+  const index = definition ? indexDefinition(definition) : {};
+  const params = [surveyId, cycle];
+  const { rows } = await pool.query(
+    `SELECT payload FROM submissions
+     WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2
+       AND status = 'accepted'${segmentConditions(segment, params)}`,
+    params
+  );
+  return cellSuppression(
+    definition,
+    index,
+    rows.filter((row) => rowInScope(index, row.payload, scope)),
+    scope
+  );
+}
+
+function labelSuppressed(suppression, label) {
+  return suppression.all || suppression.buildings.includes(label);
+}
+
+// A per-building question follows its building; any question with too few
+// answers of its own is suppressed as well
+function keySuppressed(suppression, index, key, responses) {
+  const entry = index[key];
+  return (
+    suppression.all ||
+    belowMinimum(responses) ||
+    Boolean(
+      entry &&
+        entry.building &&
+        suppression.buildings.includes(entry.building.label)
+    )
+  );
+}
+
+// Submission export values with suppressed cells replaced by the note:
+// answers to a suppressed building's questions, and comments whose buildings
+// are all suppressed. Comments about buildings that are all outside the
+// scope are left out.
+function suppressPayload(payload, suppression, definition, index, scope) {
+  const labels = commentLabels(definition, index, payload, scope);
+  const outOfScope = !labels.length;
+  if (!outOfScope && !suppression.all && !suppression.buildings.length) {
+    return payload;
+  }
+  const commentHidden = labels.every((label) =>
+    labelSuppressed(suppression, label)
+  );
+  const out = {};
+  for (const [key, value] of Object.entries(payload || {})) {
+    const entry = index[key];
+    if (outOfScope && !(entry && entry.building) && isTextKey(index, key)) {
+      continue;
+    }
+    const hidden =
+      suppression.all ||
+      (entry && entry.building
+        ? suppression.buildings.includes(entry.building.label)
+        : isTextKey(index, key) && commentHidden);
+    out[key] = hidden && value !== '' && value != null ? SUPPRESSED_NOTE : value;
+  }
+  return out;
+}
+
+// --------- PII redaction ---------
+//
+// Free-text answers are redacted when they're stored and again whenever
+// they're read, so a name added to the list later also disappears from
+// older comments. Payloads (and so webhook deliveries) only hold redacted
+// text; the original of a changed answer goes to comment_originals, which
+// only district admins can read.
+
+const REDACTION_PATTERNS = [
+  { label: '[email]', pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi },
+  // North American numbers: 716-555-1234, (716) 555 1234, +1 716.555.1234,
+  // 7165551234, and local 555-1234
+  {
+    label: '[phone]',
+    pattern:
+      /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b|\b\d{3}[\s.-]\d{4}\b/g,
+  },
+];
+const REDACTED_NAME = '[name]';
+const REDACTION_NAME_MIN = 2;
+const REDACTION_NAME_MAX = 100;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// redact(text) for a name list. Names match whole words in any case, with
+// any whitespace between their parts; longer names win over their prefixes.
+function makeRedactor(names) {
+  const rules = [...REDACTION_PATTERNS];
+  const alternatives = names
+    .map((n) => n.trim())
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map((n) => escapeRegExp(n).replace(/\s+/g, '\\s+'));
+  if (alternatives.length) {
+    rules.push({
+      label: REDACTED_NAME,
+      pattern: new RegExp(
+        `(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`,
+        'giu'
+      ),
+    });
+  }
+  return (text) =>
+    rules.reduce((out, rule) => out.replace(rule.pattern, rule.label), text);
+}
+
+async function loadRedactor() {
+  await ensureSchema();
+  const { rows } = await pool.query('SELECT name FROM redaction_names');
+  return makeRedactor(rows.map((r) => r.name));
+}
+
+// Same classification as the summary: the definition's text questions, or
+// "*_free" keys it doesn't describe
+function isTextKey(index, key) {
+  const entry = index[key];
+  return entry ? entry.question.type === 'text' : key.endsWith('_free');
+}
+
+// Copy of a payload with its free-text answers redacted, and the originals
+// of the answers that changed, by key
+function redactPayload(payload, index, redact) {
+  const redacted = { ...payload };
+  const originals = {};
+  for (const [key, value] of Object.entries(payload || {})) {
+    if (typeof value !== 'string' || !isTextKey(index, key)) continue;
+    const clean = redact(value);
+    if (clean !== value) {
+      redacted[key] = clean;
+      originals[key] = value;
+    }
+  }
+  return { payload: redacted, originals };
+}
+
+// --------- Statistics ---------
+//
+// Scale answers are tallied per question (and pooled per category and
+// building) into count, sum, sum of squares, answers per scale point, and
+// favorable / unfavorable counts: the top two and bottom two points of the
+// question's scale. Everything else is derived from a tally.
+//
+// Groups pool their questions on the 1–5 range: answers to scales with
+// another range are rescaled linearly first, so a 0–10 question weighs the
+// same as a 1–5 one in a category or building average.
+
+const SIGNIFICANCE_LEVEL = 0.05;
+const POOLED_SCALE = { min: 1, max: 5 };
+
+function toPooledScale(value, min, max) {
+  return (
+    POOLED_SCALE.min +
+    ((value - min) * (POOLED_SCALE.max - POOLED_SCALE.min)) / (max - min)
+  );
+}
+
+// A question's tally rescaled for pooling; favorable / unfavorable keep
+// the question's own top and bottom points
+function pooledTally(t, min, max) {
+  if (min === POOLED_SCALE.min && max === POOLED_SCALE.max) return t;
+  const counts = {};
+  for (const [value, count] of Object.entries(t.counts)) {
+    counts[toPooledScale(Number(value), min, max)] = count;
+  }
+  return {
+    ...tallyCounts(counts, 0, 0),
+    favorable: t.favorable,
+    unfavorable: t.unfavorable,
+  };
+}
+
+function tallyCounts(counts, min, max) {
+  const tally = {
+    n: 0,
+    sum: 0,
+    sumSq: 0,
+    counts: {},
+    favorable: 0,
+    unfavorable: 0,
+  };
+  for (const [score, count] of Object.entries(counts)) {
+    const value = Number(score);
+    if (!count) continue;
+    tally.n += count;
+    tally.sum += value * count;
+    tally.sumSq += value * value * count;
+    tally.counts[value] = (tally.counts[value] || 0) + count;
+    if (value >= max - 1) tally.favorable += count;
+    if (value <= min + 1) tally.unfavorable += count;
+  }
+  return tally;
+}
+
+function mergeTallies(tallies) {
+  const merged = tallyCounts({}, 0, 0);
+  for (const t of tallies) {
+    merged.n += t.n;
+    merged.sum += t.sum;
+    merged.sumSq += t.sumSq;
+    merged.favorable += t.favorable;
+    merged.unfavorable += t.unfavorable;
+    for (const [value, count] of Object.entries(t.counts)) {
+      merged.counts[value] = (merged.counts[value] || 0) + count;
+    }
+  }
+  return merged;
+}
+
+// Sample variance (n - 1)
+function tallyVariance(t) {
+  if (t.n < 2) return null;
+  return Math.max((t.sumSq - (t.sum * t.sum) / t.n) / (t.n - 1), 0);
+}
+
+function tallyMedian(t) {
+  if (!t.n) return null;
+  const values = Object.keys(t.counts)
+    .map(Number)
+    .sort((a, b) => a - b);
+  // The value at 0-based position i of the sorted answers
+  const at = (i) => {
+    let seen = 0;
+    for (const v of values) {
+      seen += t.counts[v];
+      if (i < seen) return v;
+    }
+    return values[values.length - 1];
+  };
+  return t.n % 2 ? at((t.n - 1) / 2) : (at(t.n / 2 - 1) + at(t.n / 2)) / 2;
+}
+
+// Average, median, standard deviation, percent favorable / unfavorable and
+// the 95% confidence interval of the mean (Student's t)
+function describeTally(t) {
+  const variance = tallyVariance(t);
+  const sd = variance === null ? null : Math.sqrt(variance);
+  const average = t.n ? t.sum / t.n : null;
+  let ci95 = null;
+  if (sd !== null) {
+    const margin = tCritical(t.n - 1) * (sd / Math.sqrt(t.n));
+    ci95 = [average - margin, average + margin];
+  }
+  return {
+    responses: t.n,
+    average,
+    median: tallyMedian(t),
+    sd,
+    favorable: t.n ? (t.favorable / t.n) * 100 : null,
+    unfavorable: t.n ? (t.unfavorable / t.n) * 100 : null,
+    ci95,
+  };
+}
+
+// Welch's t-test of one building against the rest of the district (the
+// other buildings' answers pooled). Respondents answering for several
+// buildings are in both groups; the test treats the groups as independent.
+function compareWithDistrict(building, rest) {
+  const va = tallyVariance(building);
+  const vb = tallyVariance(rest);
+  if (va === null || vb === null) return null;
+  const ea = va / building.n;
+  const eb = vb / rest.n;
+  const districtAverage = rest.sum / rest.n;
+  const difference = building.sum / building.n - districtAverage;
+  let p = 1;
+  if (ea + eb > 0) {
+    const t = difference / Math.sqrt(ea + eb);
+    const df =
+      (ea + eb) ** 2 /
+      ((ea * ea) / (building.n - 1) + (eb * eb) / (rest.n - 1));
+    p = tTwoSidedP(t, df);
+  } else if (difference !== 0) {
+    p = 0; // no spread on either side, yet different
+  }
+  return {
+    average: districtAverage,
+    responses: rest.n,
+    difference,
+    p,
+    significant: p < SIGNIFICANCE_LEVEL,
+  };
+}
+
+// Two-sided p-value of Student's t with df degrees of freedom, through the
+// regularized incomplete beta function: P(|T| > |t|) = I_x(df/2, 1/2) with
+// x = df / (df + t²)
+function tTwoSidedP(t, df) {
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+const T_CRITICAL_CACHE = new Map();
+
+// Two-sided 5% critical value of Student's t, by bisection on tTwoSidedP
+function tCritical(df) {
+  if (!T_CRITICAL_CACHE.has(df)) {
+    let lo = 0;
+    let hi = 1000;
+    for (let i = 0; i < 100; i++) {
+      const mid = (lo + hi) / 2;
+      if (tTwoSidedP(mid, df) > SIGNIFICANCE_LEVEL) lo = mid;
+      else hi = mid;
+    }
+    T_CRITICAL_CACHE.set(df, (lo + hi) / 2);
+  }
+  return T_CRITICAL_CACHE.get(df);
+}
+
+// Lanczos approximation (g = 7)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let a = LANCZOS[0];
+  const t = z + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (z + i);
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Regularized incomplete beta I_x(a, b), continued fraction (Lentz)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+
+  const front = Math.exp(
+    logGamma(a + b) - logGamma(a) - logGamma(b) +
+      a * Math.log(x) + b * Math.log(1 - x)
+  );
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let f = d;
+  for (let m = 1; m <= 200; m++) {
+    for (const step of [0, 1]) {
+      const num =
+        step === 0
+          ? (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m))
+          : -((a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+      d = 1 + num * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + num / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      f *= c * d;
+    }
+    if (Math.abs(c * d - 1) < 1e-12) break;
+  }
+  return (front * f) / a;
+}
+
+// --------- Answer aggregation ---------
+//
+// Each question's answers are counted by type: scale and NPS by score
+// (with a running sum for the average), choice, yes/no and multi by option
+// value. `responses` counts the answers that took part, `na` the "don't
+// know / not applicable" ones left out of them.
+
+// Also accepted as N/A from submissions made without a definition
+const NA_SPELLINGS = [
+  NA_VALUE,
+  'n/a',
+  'n.a.',
+  "don't know",
+  'dont know',
+  'not applicable',
+];
+
+function newAggregate(key, type, question) {
+  const q = { key, type, responses: 0, na: 0, counts: {} };
+  if (type === 'scale' || type === 'nps') {
+    const { min, max } = answerRange(question || { type });
+    if (type === 'scale') Object.assign(q, { min, max });
+    q.sum = 0;
+    for (let score = min; score <= max; score++) q.counts[score] = 0;
+  } else {
+    const values =
+      type === 'yesno'
+        ? ['yes', 'no']
+        : question.options.map((o) => String(o.value));
+    for (const value of values) q.counts[value] = 0;
+  }
+  return q;
+}
+
+// Counts one (trimmed, non-empty) answer; false when the question can't
+// take it, e.g. a 7 on a 1–5 scale
+function addAnswer(q, question, val) {
+  if (
+    (question ? question.allowNA : true) &&
+    NA_SPELLINGS.includes(val.toLowerCase())
+  ) {
+    q.na += 1;
+    return true;
+  }
+  let chosen;
+  if (q.type === 'scale' || q.type === 'nps') {
+    const { min, max } = answerRange(question || { type: q.type });
+    const num = Number(val);
+    if (!Number.isFinite(num) || num < min || num > max) return false;
+    q.sum += num;
+    chosen = [num];
+  } else if (q.type === 'yesno') {
+    chosen = [yesNoValue(val)];
+  } else {
+    chosen = q.type === 'multi' ? multiValues(val) : [val];
+  }
+  chosen = chosen.filter(
+    (v) => typeof v === 'number' || Object.hasOwn(q.counts, v)
+  );
+  if (!chosen.length) return false;
+  q.responses += 1;
+  for (const v of chosen) q.counts[v] = (q.counts[v] || 0) + 1;
+  return true;
+}
+
+// NPS: promoters answer 9–10, passives 7–8, detractors 0–6; the score is
+// the percentage of promoters minus that of detractors (-100 to 100)
+function finishAggregate(q) {
+  const percent = (n) => (q.responses ? (n / q.responses) * 100 : null);
+  if (q.type === 'scale') return;
+  if (q.type === 'nps') {
+    const groups = { promoters: 0, passives: 0, detractors: 0 };
+    for (const [score, n] of Object.entries(q.counts)) {
+      if (score >= 9) groups.promoters += n;
+      else if (score >= 7) groups.passives += n;
+      else groups.detractors += n;
+    }
+    q.average = q.responses ? q.sum / q.responses : null;
+    q.promoters = percent(groups.promoters);
+    q.passives = percent(groups.passives);
+    q.detractors = percent(groups.detractors);
+    q.nps = q.responses ? q.promoters - q.detractors : null;
+    return;
+  }
+  // choice and yes/no add up to 100%; multi is per respondent, so can't
+  q.percents = Object.fromEntries(
+    Object.entries(q.counts).map(([value, n]) => [value, percent(n)])
+  );
+}
+
+// One line per question for exports: "Yes 60% (12); No 40% (8)", NPS groups
+// or "" for scale questions, which have their own count columns
+function answerBreakdown(q, question) {
+  const pct = (value) => `${Math.round(value)}%`;
+  if (q.type === 'nps') {
+    if (!q.responses) return '';
+    return (
+      `Promoters ${pct(q.promoters)}; Passives ${pct(q.passives)}; ` +
+      `Detractors ${pct(q.detractors)}`
+    );
+  }
+  if (!q.percents) return '';
+  const labels = new Map(
+    ((question && question.options) || []).map((o) => [String(o.value), o.label])
+  );
+  return Object.entries(q.counts)
+    .map(([value, n]) => {
+      const label =
+        labels.get(value) ||
+        (q.type === 'yesno' ? (value === 'yes' ? 'Yes' : 'No') : value);
+      return `${label} ${q.responses ? pct(q.percents[value]) : '–'} (${n})`;
+    })
+    .join('; ');
+}
+
+// --------- Completion funnel ---------
+//
+// How far respondents get, section by section in definition order.
+// Everyone who started counts: submissions, which went through every
+// section, and drafts never submitted, which stopped at the furthest
+// section they have answers in (the first if none). Open drafts may still
+// be finished; abandoned ones won't be.
+
+async function loadFunnel(surveyId, cycle, definition, submitted, scope) {
+  await expireDrafts();
+  const { rows: drafts } = await pool.query(
+    `SELECT sections, buildings, status FROM survey_drafts
+     WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2`,
+    [surveyId, cycle]
+  );
+
+  const order = definition.sections.map((section) => section.id);
+  const sections = definition.sections.map((section) => ({
+    id: section.id,
+    title: section.title,
+    reached: submitted,
+    inProgress: 0,
+    abandoned: 0,
+  }));
+  const totals = { inProgress: 0, abandoned: 0 };
+  for (const draft of drafts) {
+    if (scope && !draft.buildings.some((b) => scope.includes(b))) continue;
+    const furthest = Math.max(0, ...draft.sections.map((id) => order.indexOf(id)));
+    for (let i = 0; i <= furthest; i++) sections[i].reached += 1;
+    const state = draft.status === 'open' ? 'inProgress' : 'abandoned';
+    sections[furthest][state] += 1;
+    totals[state] += 1;
+  }
+
+  const started = submitted + totals.inProgress + totals.abandoned;
+  const percent = (n, of) => (of ? (n / of) * 100 : null);
+  return {
+    started,
+    submitted,
+    ...totals,
+    completionRate: percent(submitted, started),
+    sections: sections.map((section) => ({
+      ...section,
+      reachedRate: percent(section.reached, started),
+      dropOffRate: percent(section.abandoned, section.reached),
+    })),
+  };
+}
+
+// --------- Comment analysis ---------
+//
+// Offline and lexicon-based (lexicon/en.json), so comments never leave the
+// server. A comment's sentiment is the sum of its words' scores, each score
+// flipped when a negator ("not", "never", "didn't", ...) comes up to three
+// words before it. Key phrases are runs of one to three words between
+// stopwords and punctuation, counted once per comment.
+
+const LEXICON = JSON.parse(
+  fs.readFileSync(path.join(__dirname, 'lexicon', 'en.json'), 'utf8')
+);
+const LEXICON_SCORES = new Map(Object.entries(LEXICON.words));
+const LEXICON_NEGATORS = new Set(LEXICON.negators);
+const LEXICON_STOPWORDS = new Set(LEXICON.stopwords);
+const NEGATION_WINDOW = 3;
+const MAX_PHRASE_WORDS = 3;
+const TOP_PHRASES = 10;
+
+// Lower-case words per clause. Redaction placeholders end a clause so no
+// phrase runs across them.
+function commentClauses(text) {
+  return text
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .split(/\[(?:name|email|phone)\]|[.!?;:,()"\n]+/)
+    .map((clause) => clause.match(/\p{L}+(?:'\p{L}+)*/gu) || [])
+    .filter((words) => words.length);
+}
+
+function analyzeComment(text) {
+  let score = 0;
+  const phrases = new Set();
+  for (const words of commentClauses(text)) {
+    let negatedUntil = -1;
+    let run = [];
+    const endRun = () => {
+      for (let n = 1; n <= MAX_PHRASE_WORDS; n++) {
+        for (let i = 0; i + n <= run.length; i++) {
+          phrases.add(run.slice(i, i + n).join(' '));
+        }
+      }
+      run = [];
+    };
+    words.forEach((word, i) => {
+      const value = LEXICON_SCORES.get(word) || 0;
+      score += i <= negatedUntil ? -value : value;
+      if (LEXICON_NEGATORS.has(word)) negatedUntil = i + NEGATION_WINDOW;
+
+      if (
+        word.length < 3 ||
+        LEXICON_STOPWORDS.has(word) ||
+        LEXICON_NEGATORS.has(word)
+      ) {
+        endRun();
+      } else {
+        run.push(word);
+      }
+    });
+    endRun();
+  }
+  const sentiment =
+    score > 0 ? 'positive' : score < 0 ? 'negative' : 'neutral';
+  return { sentiment, score, phrases };
+}
+
+// Sentiment split and most frequent key phrases of analyzed comments. A
+// phrase needs two comments, and is left out when a longer phrase
+// containing it comes from exactly as many ("pickup" under "pickup line").
+function summarizeAnalyses(analyses) {
+  const sentiment = { positive: 0, neutral: 0, negative: 0 };
+  const counts = new Map();
+  for (const a of analyses) {
+    sentiment[a.sentiment] += 1;
+    for (const phrase of a.phrases) {
+      counts.set(phrase, (counts.get(phrase) || 0) + 1);
+    }
+  }
+
+  const covered = new Set();
+  for (const [phrase, count] of counts) {
+    const words = phrase.split(' ');
+    if (count < 2 || words.length < 2) continue;
+    for (let n = 1; n < words.length; n++) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const part = words.slice(i, i + n).join(' ');
+        if (counts.get(part) === count) covered.add(part);
+      }
+    }
+  }
+  const length = (phrase) => phrase.split(' ').length;
+  const phrases = [...counts]
+    .filter(([phrase, count]) => count >= 2 && !covered.has(phrase))
+    .sort(
+      ([a, n], [b, m]) => m - n || length(b) - length(a) || a.localeCompare(b)
+    )
+    .slice(0, TOP_PHRASES)
+    .map(([phrase, count]) => ({ phrase, count }));
+
+  return { comments: analyses.length, sentiment, phrases };
+}
+
+// --------- Admin accounts & sessions ---------
+//
+// Admins sign in with a username and password and get an HttpOnly session
+// cookie. Requests that change anything must also echo the session's CSRF
+// token in the X-CSRF-Token header.
+//
+// Roles, least to most privileged:
+//   viewer          – read summaries, reports and exports
+//   district_admin  – also manage surveys, definitions, cycles and users
+
+const ADMIN_ROLES = ['viewer', 'district_admin'];
+const SESSION_COOKIE = 'rh_admin_session';
+const USERNAME_PATTERN = /^[a-z0-9._@-]{3,64}$/i;
+const MIN_PASSWORD_LENGTH = 10;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored as scrypt$<salt hex>$<key hex>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, keyHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !keyHex) return false;
+  const expected = Buffer.from(keyHex, 'hex');
+  const salt = Buffer.from(saltHex, 'hex');
+  const key = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+// Used when the username doesn't exist, so a miss costs as much as a hit
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i === -1) continue;
+    const name = part.slice(0, i).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (_err) {
+      // ignore malformed cookie values
+    }
+  }
+  return cookies;
+}
+
+function sessionCookie(value, maxAgeSeconds) {
+  return [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${maxAgeSeconds}`,
+    SECURE_COOKIES ? 'Secure' : '',
+  ]
+    .filter(Boolean)
+    .join('; ');
+}
+
+async function createSession(res, userId) {
+  const sessionId = crypto.randomBytes(32).toString('base64url');
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  await pool.query(
+    `INSERT INTO admin_sessions (id_hash, user_id, csrf_token, expires_at)
+     VALUES ($1, $2, $3, now() + make_interval(hours => $4))`,
+    [sha256(sessionId), userId, csrfToken, SESSION_TTL_HOURS]
+  );
+  // Opportunistic cleanup of expired sessions
+  await pool.query('DELETE FROM admin_sessions WHERE expires_at < now()');
+  res.setHeader(
+    'Set-Cookie',
+    sessionCookie(sessionId, SESSION_TTL_HOURS * 3600)
+  );
+  return csrfToken;
+}
+
+// Load the admin ({ id, username, role, buildings, csrfToken, sessionHash })
+// for a request that carries a live session cookie.
+async function loadAdminSession(req) {
+  const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (!sessionId) return null;
+  await ensureSchema();
+  const { rows } = await pool.query(
+    `SELECT u.id, u.username, u.role, u.buildings, s.csrf_token, s.id_hash
+     FROM admin_sessions s
+     JOIN admin_users u ON u.id = s.user_id
+     WHERE s.id_hash = $1 AND s.expires_at > now() AND NOT u.disabled`,
+    [sha256(sessionId)]
+  );
+  if (!rows.length) return null;
+  const row = rows[0];
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    buildings: row.buildings,
+    csrfToken: row.csrf_token,
+    sessionHash: row.id_hash,
+  };
+}
+
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Middleware: signed-in admin with at least `minRole`; CSRF token checked
+// on state-changing requests.
+function requireAdmin(minRole = 'viewer') {
+  return async (req, res, next) => {
+    try {
+      const admin = await loadAdminSession(req);
+      if (!admin) {
+        return res.status(401).json({ error: 'not_signed_in' });
+      }
+      if (
+        UNSAFE_METHODS.includes(req.method) &&
+        !safeEqual(req.get('X-CSRF-Token') || '', admin.csrfToken)
+      ) {
+        return res.status(403).json({ error: 'csrf_failed' });
+      }
+      if (ADMIN_ROLES.indexOf(admin.role) < ADMIN_ROLES.indexOf(minRole)) {
+        return res.status(403).json({ error: 'forbidden' });
+      }
+      req.admin = admin;
+      return next();
+    } catch (err) {
+      console.error('Admin session error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  };
+}
+
+function publicUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    buildings: row.buildings,
+    disabled: row.disabled,
+    createdAt: row.created_at,
+  };
+}
+
+// Failed sign-ins per username+IP, kept in memory: 5 tries per 15 minutes
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOGIN_MAX_FAILURES = 5;
+const loginFailures = new Map();
+
+function loginThrottleKey(req, username) {
+  return `${getClientIp(req)}|${String(username).toLowerCase()}`;
+}
+
+function isLoginThrottled(key) {
+  const entry = loginFailures.get(key);
+  if (!entry) return false;
+  if (Date.now() - entry.first > LOGIN_WINDOW_MS) {
+    loginFailures.delete(key);
+    return false;
+  }
+  return entry.count >= LOGIN_MAX_FAILURES;
+}
+
+// New entries go to the end of the map, so it stays ordered by first
+// failure and expired entries can be dropped from the front
+function recordLoginFailure(key) {
+  const now = Date.now();
+  const entry = loginFailures.get(key);
+  if (entry && now - entry.first <= LOGIN_WINDOW_MS) {
+    entry.count += 1;
+    return;
+  }
+  loginFailures.delete(key);
+  for (const [oldKey, old] of loginFailures) {
+    if (now - old.first <= LOGIN_WINDOW_MS) break;
+    loginFailures.delete(oldKey);
+  }
+  loginFailures.set(key, { first: now, count: 1 });
+}
+
+// Building scope from a user create/update body: null (all buildings) or a
+// non-empty list of building ids. Only viewers can be scoped.
+function parseBuildingScope(buildings, role) {
+  if (buildings === null || buildings === undefined) return { value: null };
+  if (
+    !Array.isArray(buildings) ||
+    !buildings.length ||
+    buildings.some((b) => typeof b !== 'string' || !KEY_PATTERN.test(b))
+  ) {
+    return { error: 'Buildings must be null or a list of building ids.' };
+  }
+  if (role === 'district_admin') {
+    return { error: 'District admins always see every building.' };
+  }
+  return { value: [...new Set(buildings)] };
+}
+
+// The building ids a request may see, or null for all of them
+function adminScope(req) {
+  const buildings = req.admin && req.admin.buildings;
+  return buildings && buildings.length ? buildings : null;
+}
+
+// --------- Audit log ---------
+
+// Every action audit() records, and the ones GET /admin/audit filters on
+const AUDIT_ACTIONS = [
+  'login',
+  'login_failed',
+  'logout',
+  'password_change',
+  'user_create',
+  'user_update',
+  'survey_create',
+  'survey_update',
+  'definition_publish',
+  'cycle_close',
+  'cycle_delete',
+  'summary_view',
+  'export',
+  'invitations_create',
+  'invitations_export',
+  'quarantine_review',
+  'webhook_create',
+  'webhook_update',
+  'webhook_replay',
+  'theme_create',
+  'theme_update',
+  'theme_delete',
+  'comment_coding_update',
+  'comment_original_view',
+  'redaction_names_add',
+  'redaction_name_delete',
+  'targets_update',
+  'audit_view',
+];
+
+// Client IPs are stored as keyed hashes (a separate namespace from the
+// submission hashes), enough to tell requests apart without keeping the IP.
+function auditIpHash(req) {
+  return crypto
+    .createHmac('sha256', SALT)
+    .update(`audit:${getClientIp(req) || 'unknown_ip'}`)
+    .digest('hex');
+}
+
+// Best effort: a failed audit write is logged but doesn't fail the request
+// that already happened.
+async function audit(
+  req,
+  action,
+  { surveyId, target, details, actor, actorId } = {}
+) {
+  try {
+    await pool.query(
+      `INSERT INTO audit_log
+         (actor, actor_id, action, survey_id, target, ip_hash, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        actor || (req.admin ? req.admin.username : null),
+        actorId || (req.admin ? req.admin.id : null),
+        action,
+        surveyId || null,
+        target == null ? null : String(target),
+        auditIpHash(req),
+        details || {},
+      ]
+    );
+  } catch (err) {
+    console.error(`Audit write failed (${action}):`, err);
+  }
+}
+
+function validateNewPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  if (password.length > 200) return 'Password is too long.';
+  return null;
+}
+
+// --------- Webhook outbox ---------
+//
+// Each delivery is a POST of the JSON body with
+//   X-Webhook-Id         delivery id (the same on every retry)
+//   X-Webhook-Timestamp  seconds since the epoch
+//   X-Webhook-Signature  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// keyed with the target's secret. Any 2xx response counts as delivered.
+
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_BATCH_SIZE = 20;
+// A claimed delivery is hidden from other workers for this long
+const WEBHOOK_LEASE_SECONDS = 120;
+
+// Queue a submission row ({ id, payload, language, submitted_at, revision,
+// updated_at }) for every enabled target that covers its survey: event
+// 'submission.created' when it is stored (or accepted), 'submission.updated'
+// when its respondent edits it. Call inside the same transaction.
+async function enqueueSubmissionWebhooks(
+  client,
+  surveyId,
+  submission,
+  event = 'submission.created'
+) {
+  await client.query(
+    `INSERT INTO webhook_deliveries (target_id, survey_id, event, body)
+     SELECT id, $1, $2, $3 FROM webhook_targets
+     WHERE enabled AND (surveys IS NULL OR $1 = ANY (surveys))`,
+    [
+      surveyId,
+      event,
+      {
+        event,
+        surveyId,
+        submissionId: submission.id,
+        revision: submission.revision,
+        language: submission.language,
+        payload: submission.payload,
+        submittedAt: new Date(submission.submitted_at).toISOString(),
+        updatedAt: submission.updated_at
+          ? new Date(submission.updated_at).toISOString()
+          : null,
+      },
+    ]
+  );
+}
+
+function webhookSignature(secret, timestamp, body) {
+  return (
+    'sha256=' +
+    crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  );
+}
+
+// 30s, 1m, 2m, 4m, … capped at 6 hours
+function webhookBackoffSeconds(attempts) {
+  return Math.min(30 * 2 ** (attempts - 1), 6 * 60 * 60);
+}
+
+async function deliverWebhook(delivery) {
+  const body = JSON.stringify(delivery.body);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const resp = await fetch(delivery.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': String(delivery.id),
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': webhookSignature(delivery.secret, timestamp, body),
+    },
+    body,
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`HTTP ${resp.status} ${text.slice(0, 200)}`.trim());
+  }
+}
+
+// Claim due deliveries (skipping rows another process holds), send them and
+// record the outcome. Returns how many were attempted.
+async function drainWebhookOutbox() {
+  await ensureSchema();
+  const { rows } = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET attempts = d.attempts + 1,
+         next_attempt_at = now() + make_interval(secs => $2)
+     FROM webhook_targets t
+     WHERE t.id = d.target_id AND d.id IN (
+       SELECT dd.id FROM webhook_deliveries dd
+       JOIN webhook_targets tt ON tt.id = dd.target_id
+       WHERE dd.status = 'pending' AND dd.next_attempt_at <= now()
+         AND tt.enabled
+       ORDER BY dd.next_attempt_at
+       LIMIT $1
+       FOR UPDATE OF dd SKIP LOCKED
+     )
+     RETURNING d.id, d.body, d.attempts, t.url, t.secret, t.name`,
+    [WEBHOOK_BATCH_SIZE, WEBHOOK_LEASE_SECONDS]
+  );
+
+  for (const delivery of rows) {
+    try {
+      await deliverWebhook(delivery);
+      await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', delivered_at = now(), last_error = NULL
+         WHERE id = $1`,
+        [delivery.id]
+      );
+    } catch (err) {
+      const message = String((err && err.message) || err).slice(0, 500);
+      const dead = delivery.attempts >= WEBHOOK_MAX_ATTEMPTS;
+      await pool.query(
+        `UPDATE webhook_deliveries
+         SET status = $2, last_error = $3,
+             next_attempt_at = now() + make_interval(secs => $4)
+         WHERE id = $1`,
+        [
+          delivery.id,
+          dead ? 'dead' : 'pending',
+          message,
+          webhookBackoffSeconds(delivery.attempts),
+        ]
+      );
+      console.warn(
+        `Webhook ${delivery.name} delivery ${delivery.id} failed ` +
+          `(attempt ${delivery.attempts}${dead ? ', giving up' : ''}): ${message}`
+      );
+    }
+  }
+  return rows.length;
+}
+
+// Runs for the life of the process; a full batch is followed straight away
+// by the next one.
+function startWebhookWorker() {
+  const tick = async () => {
+    let attempted = 0;
+    try {
+      attempted = await drainWebhookOutbox();
+    } catch (err) {
+      console.error('Webhook worker error:', err);
+    }
+    const delay = attempted >= WEBHOOK_BATCH_SIZE ? 0 : WEBHOOK_POLL_SECONDS * 1000;
+    setTimeout(tick, delay).unref();
+  };
+  setTimeout(tick, 0).unref();
+}
+
+// --------- Routes ---------
+
+// Health check
+app.get('/health', async (_req, res) => {
+  try {
+    await pool.query('SELECT 1');
+    res.json({ ok: true, surveyId: DEFAULT_SURVEY_ID });
+  } catch (err) {
+    console.error('Health check DB error:', err);
+    res.status(500).json({ ok: false, error: 'db_unreachable' });
+  }
+});
+
+// --- Admin sign-in ---
+app.post('/admin/login', async (req, res) => {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'missing_credentials' });
+  }
+
+  const throttleKey = loginThrottleKey(req, username);
+  if (isLoginThrottled(throttleKey)) {
+    return res.status(429).json({ error: 'too_many_attempts' });
+  }
+
+  try {
+    await ensureSchema();
+    const { rows } = await pool.query(
+      'SELECT * FROM admin_users WHERE lower(username) = lower($1)',
+      [username]
+    );
+    const user = rows[0];
+    const valid = await verifyPassword(
+      password,
+      user ? user.password_hash : DUMMY_PASSWORD_HASH
+    );
+    if (!user || !valid || user.disabled) {
+      recordLoginFailure(throttleKey);
+      await audit(req, 'login_failed', { actor: username.slice(0, 64) });
+      return res.status(401).json({ error: 'invalid_credentials' });
+    }
+
+    loginFailures.delete(throttleKey);
+    const csrfToken = await createSession(res, user.id);
+    await audit(req, 'login', { actor: user.username, actorId: user.id });
+    return res.json({ ok: true, user: publicUser(user), csrfToken });
+  } catch (err) {
+    console.error('Admin login error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.post('/admin/logout', requireAdmin(), async (req, res) => {
+  try {
+    await pool.query('DELETE FROM admin_sessions WHERE id_hash = $1', [
+      req.admin.sessionHash,
+    ]);
+    res.setHeader('Set-Cookie', sessionCookie('', 0));
+    await audit(req, 'logout');
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Admin logout error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Who am I? Also hands the dashboard its CSRF token after a page reload.
+app.get('/admin/session', requireAdmin(), (req, res) => {
+  const { id, username, role, buildings, csrfToken } = req.admin;
+  res.json({ ok: true, user: { id, username, role, buildings }, csrfToken });
+});
+
+app.post('/admin/password', requireAdmin(), async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) {
+    return res
+      .status(400)
+      .json({ error: 'invalid_password', message: passwordError });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT password_hash FROM admin_users WHERE id = $1',
+      [req.admin.id]
+    );
+    const valid = await verifyPassword(
+      String(currentPassword || ''),
+      rows[0].password_hash
+    );
+    if (!valid) {
+      return res.status(403).json({ error: 'invalid_credentials' });
+    }
+
+    // Changing the password signs out every other session
+    await pool.query(
+      'UPDATE admin_users SET password_hash = $2 WHERE id = $1',
+      [req.admin.id, await hashPassword(newPassword)]
+    );
+    await pool.query(
+      'DELETE FROM admin_sessions WHERE user_id = $1 AND id_hash <> $2',
+      [req.admin.id, req.admin.sessionHash]
+    );
+    await audit(req, 'password_change', { target: req.admin.username });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('Admin password change error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// --- Admin user management (district admins only) ---
+app.get('/admin/users', requireAdmin('district_admin'), async (_req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM admin_users ORDER BY username'
+    );
+    return res.json({ ok: true, users: rows.map(publicUser) });
+  } catch (err) {
+    console.error('Admin user list error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.post('/admin/users', requireAdmin('district_admin'), async (req, res) => {
+  const { username, password, role, buildings } = req.body || {};
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return res.status(400).json({
+      error: 'invalid_username',
+      message: 'Username must be 3–64 letters, digits, dots, dashes, _ or @.',
+    });
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    return res.status(400).json({
+      error: 'invalid_role',
+      message: `Role must be one of ${ADMIN_ROLES.join(', ')}.`,
+    });
+  }
+  const passwordError = validateNewPassword(password);
+  if (passwordError) {
+    return res
+      .status(400)
+      .json({ error: 'invalid_password', message: passwordError });
+  }
+  const scope = parseBuildingScope(buildings, role);
+  if (scope.error) {
+    return res
+      .status(400)
+      .json({ error: 'invalid_buildings', message: scope.error });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `INSERT INTO admin_users (username, password_hash, role, buildings)
+       SELECT $1, $2, $3, $4
+       WHERE NOT EXISTS (
+         SELECT 1 FROM admin_users WHERE lower(username) = lower($1)
+       )
+       RETURNING *`,
+      [username, await hashPassword(password), role, scope.value]
+    );
+    if (!rows.length) {
+      return res.status(409).json({ error: 'username_taken' });
+    }
+    await audit(req, 'user_create', {
+      target: rows[0].username,
+      details: { role, buildings: scope.value },
+    });
+    return res.json({ ok: true, user: publicUser(rows[0]) });
+  } catch (err) {
+    if (err && err.code === '23505') {
+      return res.status(409).json({ error: 'username_taken' });
+    }
+    console.error('Admin user create error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Change role, building scope or password, or disable/enable an account.
+// `buildings: null` clears the scope.
+app.patch(
+  '/admin/users/:userId',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const userId = Number(req.params.userId);
+    const { role, password, disabled } = req.body || {};
+    const body = req.body || {};
+    if (!Number.isInteger(userId)) {
+      return res.status(404).json({ error: 'unknown_user' });
+    }
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'invalid_role' });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'invalid_disabled' });
+    }
+    if (password !== undefined) {
+      const passwordError = validateNewPassword(password);
+      if (passwordError) {
+        return res
+          .status(400)
+          .json({ error: 'invalid_password', message: passwordError });
+      }
+    }
+    if (body.buildings !== undefined && userId === req.admin.id) {
+      return res.status(400).json({ error: 'cannot_change_own_access' });
+    }
+
+    // Keep at least one way back in: no demoting or disabling yourself
+    if (
+      userId === req.admin.id &&
+      ((role && role !== req.admin.role) || disabled)
+    ) {
+      return res.status(400).json({ error: 'cannot_change_own_access' });
+    }
+
+    try {
+      const current = await pool.query(
+        'SELECT role, buildings FROM admin_users WHERE id = $1',
+        [userId]
+      );
+      if (!current.rows.length) {
+        return res.status(404).json({ error: 'unknown_user' });
+      }
+
+      // Scope is checked against the role the account will end up with
+      const newRole = role || current.rows[0].role;
+      const scope = parseBuildingScope(
+        body.buildings !== undefined
+          ? body.buildings
+          : current.rows[0].buildings,
+        newRole
+      );
+      if (scope.error) {
+        return res
+          .status(400)
+          .json({ error: 'invalid_buildings', message: scope.error });
+      }
+
+      const passwordHash =
+        password !== undefined ? await hashPassword(password) : null;
+      const { rows } = await pool.query(
+        `UPDATE admin_users SET
+           role = $2,
+           password_hash = COALESCE($3, password_hash),
+           disabled = COALESCE($4, disabled),
+           buildings = $5
+         WHERE id = $1
+         RETURNING *`,
+        [userId, newRole, passwordHash, disabled ?? null, scope.value]
+      );
+      // New password or disabled account: drop the user's sessions
+      if (passwordHash || disabled) {
+        await pool.query('DELETE FROM admin_sessions WHERE user_id = $1', [
+          userId,
+        ]);
+      }
+      await audit(req, 'user_update', {
+        target: rows[0].username,
+        details: {
+          role: role || undefined,
+          disabled: disabled ?? undefined,
+          passwordReset: Boolean(passwordHash) || undefined,
+          buildings: body.buildings !== undefined ? scope.value : undefined,
+        },
+      });
+      return res.json({ ok: true, user: publicUser(rows[0]) });
+    } catch (err) {
+      console.error('Admin user update error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  }
+);
+
+// --- Audit log (district admins only) ---
+// Newest first. Page with ?before=<id of the last row you have>.
+app.get('/admin/audit', requireAdmin('district_admin'), async (req, res) => {
+  const q = req.query;
+  const where = [];
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (q.action) {
+    if (!AUDIT_ACTIONS.includes(q.action)) {
+      return res.status(400).json({ error: 'invalid_action' });
+    }
+    where.push(`action = ${param(q.action)}`);
+  }
+  if (typeof q.actor === 'string' && q.actor) {
+    where.push(`actor = ${param(q.actor)}`);
+  }
+  if (typeof q.survey === 'string' && q.survey) {
+    where.push(`survey_id = ${param(q.survey)}`);
+  }
+  for (const [key, op] of [
+    ['from', '>='],
+    ['to', '<='],
+  ]) {
+    if (!q[key]) continue;
+    const date = new Date(q[key]);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ error: `invalid_${key}` });
+    }
+    where.push(`at ${op} ${param(date)}`);
+  }
+  if (q.before) {
+    if (!/^\d+$/.test(q.before)) {
+      return res.status(400).json({ error: 'invalid_before' });
+    }
+    where.push(`id < ${param(q.before)}`);
+  }
+  const limit = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 500);
+
+  try {
+    await ensureSchema();
+    const { rows } = await pool.query(
+      `SELECT id, at, actor, action, survey_id AS "surveyId", target, details
+       FROM audit_log
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY id DESC
+       LIMIT ${param(limit + 1)}`,
+      params
+    );
+    const more = rows.length > limit;
+    const entries = rows.slice(0, limit);
+
+    // Reading the log is itself recorded, once per search rather than per page
+    if (!q.before) {
+      await audit(req, 'audit_view', {
+        details: {
+          action: q.action || undefined,
+          actor: q.actor || undefined,
+          survey: q.survey || undefined,
+          from: q.from || undefined,
+          to: q.to || undefined,
+        },
+      });
+    }
+    return res.json({
+      ok: true,
+      entries,
+      nextBefore: more ? entries[entries.length - 1].id : null,
+    });
+  } catch (err) {
+    console.error('Audit log read error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Survey submission. `draft` ({ id, body }) submits a saved draft instead
+// of the request body; the draft is deleted with the same transaction.
+async function handleSubmit(req, res, surveyId, draft = null) {
+  const ip = getClientIp(req);
+  const whitelisted = isIpWhitelisted(ip);
+
+  const { payload, meta } = splitSubmission(draft ? draft.body : req.body);
+
+  try {
+    const survey = await findSurvey(surveyId);
+    if (!survey) {
+      return res.status(404).json({ error: 'unknown_survey' });
+    }
+    const rejected = windowRejection(survey);
+    if (rejected) {
+      return res.status(403).json(rejected);
+    }
+    const byInvitation = survey.access_mode === 'invitation';
+    const inviteCode = normalizeCode(meta._invite);
+    if (byInvitation && !inviteCode) {
+      return res.status(403).json({ error: 'invitation_required' });
+    }
+
+    const definition = await getDefinition(survey.id);
+    const validationError = validatePayload(payload, definition);
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_payload', message: validationError });
+    }
+    const language = submissionLanguage(definition, meta._lang);
+    if (language === undefined) {
+      return res.status(400).json({
+        error: 'invalid_payload',
+        message: definition
+          ? `_lang: must be one of ${definitionLanguages(definition)
+              .map((l) => l.code)
+              .join(', ')}.`
+          : '_lang: must be a language code such as "es".',
+      });
+    }
+
+    // In invitation mode the code, not the IP, limits repeat submissions
+    const ip_hash = makeIpHash(ip, whitelisted || byInvitation);
+    const receipt = generateReceiptCode();
+    const flagged = quarantineReason(meta);
+    const { payload: stored, originals } = redactPayload(
+      payload,
+      definition ? indexDefinition(definition) : {},
+      await loadRedactor()
+    );
+    const rejection = await withTransaction(async (client) => {
+      if (byInvitation) {
+        const used = await client.query(
+          `UPDATE invitation_codes SET used_on = CURRENT_DATE
+           WHERE survey_id = $1 AND code = $2 AND used_on IS NULL`,
+          [survey.id, inviteCode]
+        );
+        if (!used.rowCount) {
+          const known = await client.query(
+            'SELECT 1 FROM invitation_codes WHERE survey_id = $1 AND code = $2',
+            [survey.id, inviteCode]
+          );
+          return known.rows.length ? 'invitation_used' : 'invalid_invitation';
+        }
+      }
+      if (draft) {
+        const removed = await client.query(
+          `DELETE FROM survey_drafts WHERE id = $1 AND status = 'open'`,
+          [draft.id]
+        );
+        if (!removed.rowCount) return 'draft_not_found';
+      }
+      const inserted = await client.query(
+        `INSERT INTO submissions
+           (survey_id, ip_hash, payload, definition_version,
+            status, quarantine_reason, receipt_hash, language)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id, payload, language, submitted_at, revision, updated_at`,
+        [
+          survey.id,
+          ip_hash,
+          stored,
+          definition ? definition.version : null,
+          flagged ? 'quarantined' : 'accepted',
+          flagged,
+          sha256(receipt),
+          language,
+        ]
+      );
+      await storeCommentOriginals(client, inserted.rows[0].id, originals);
+      // Quarantined submissions are forwarded if and when they're accepted
+      if (!flagged) {
+        await enqueueSubmissionWebhooks(client, survey.id, inserted.rows[0]);
+      }
+      return null;
+    });
+    if (rejection) {
+      return res
+        .status(rejection === 'draft_not_found' ? 404 : 403)
+        .json({ error: rejection });
+    }
+
+    // The sender gets the same answer either way, so a bot learns nothing
+    if (flagged) {
+      console.warn(
+        `Submission for ${survey.id} from IP ${ip} quarantined (${flagged})`
+      );
+      return res.json({ ok: true, receipt: formatReceiptCode(receipt) });
+    }
+
+    console.log(
+      `Submission for ${survey.id} stored from IP ${ip} (whitelisted=${whitelisted}, invitation=${byInvitation}) with hash ${ip_hash}`
+    );
+
+    return res.json({ ok: true, receipt: formatReceiptCode(receipt) });
+  } catch (err) {
+    if (err && err.code === '23505') {
+      // unique violation → duplicate IP (non-whitelisted)
+      return res.status(403).json({
+        error: 'duplicate_ip',
+        message:
+          'A response was already submitted from this network. ' +
+          'Use its receipt code to change the answers.',
+      });
+    }
+    console.error('Submit error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+}
+
+app.post('/surveys/:id/submit', (req, res) =>
+  handleSubmit(req, res, req.params.id)
+);
+
+// Legacy single-survey endpoint used by the original survey front end
+app.post('/submit', (req, res) => handleSubmit(req, res, DEFAULT_SURVEY_ID));
+
+// --- Survey drafts ---
+// Save partial answers; the response carries the resume token
+app.post('/surveys/:id/drafts', async (req, res) => {
+  try {
+    const survey = await findSurvey(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ error: 'unknown_survey' });
+    }
+    const rejected = windowRejection(survey);
+    if (rejected) {
+      return res.status(403).json(rejected);
+    }
+    const body = draftChanges(req.body);
+    const answers = body ? mergeDraftAnswers({}, body.changes) : null;
+    const definition = await getDefinition(survey.id);
+    const validationError = validatePayload(answers, definition);
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_payload', message: validationError });
+    }
+
+    const token = generateDraftToken();
+    const progress = draftProgress(
+      definition ? indexDefinition(definition) : {},
+      answers
+    );
+    const { rows } = await pool.query(
+      `INSERT INTO survey_drafts
+         (survey_id, token_hash, payload, sections, buildings, expires_at)
+       VALUES ($1, $2, $3, $4, $5, now() + make_interval(days => $6))
+       RETURNING expires_at AS "expiresAt"`,
+      [
+        survey.id,
+        sha256(token),
+        answers,
+        progress.sections,
+        progress.buildings,
+        DRAFT_TTL_DAYS,
+      ]
+    );
+    // Opportunistic cleanup of expired drafts
+    await expireDrafts();
+    return res.json({ ok: true, token, expiresAt: rows[0].expiresAt });
+  } catch (err) {
+    console.error('Draft create error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Resume: the saved answers and the sections (ids) they cover
+app.get('/surveys/:id/drafts/:token', async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.params.token);
+    if (!draft) {
+      return res.status(404).json({ error: 'draft_not_found' });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      answers: draft.payload,
+      sections: draft.sections,
+      savedAt: draft.updated_at,
+      expiresAt: draft.expires_at,
+    });
+  } catch (err) {
+    console.error('Draft read error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Save more answers; each save pushes the expiry back
+app.put('/surveys/:id/drafts/:token', async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.params.token);
+    if (!draft) {
+      return res.status(404).json({ error: 'draft_not_found' });
+    }
+    const rejected = windowRejection(await findSurvey(req.params.id));
+    if (rejected) {
+      return res.status(403).json(rejected);
+    }
+    const body = draftChanges(req.body);
+    const answers = body ? mergeDraftAnswers(draft.payload, body.changes) : null;
+    const definition = await getDefinition(req.params.id);
+    const validationError = validatePayload(answers, definition);
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_payload', message: validationError });
+    }
+
+    const progress = draftProgress(
+      definition ? indexDefinition(definition) : {},
+      answers
+    );
+    const { rows } = await pool.query(
+      `UPDATE survey_drafts
+       SET payload = $2, sections = $3, buildings = $4, updated_at = now(),
+           expires_at = now() + make_interval(days => $5)
+       WHERE id = $1 AND status = 'open'
+       RETURNING expires_at AS "expiresAt"`,
+      [draft.id, answers, progress.sections, progress.buildings, DRAFT_TTL_DAYS]
+    );
+    if (!rows.length) {
+      return res.status(404).json({ error: 'draft_not_found' });
+    }
+    return res.json({ ok: true, expiresAt: rows[0].expiresAt });
+  } catch (err) {
+    console.error('Draft save error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Submit the draft, with any last answers and submission metadata
+// (_invite, _hp) in the body, exactly as /surveys/:id/submit would. The
+// fill-time check counts from when the draft was started.
+app.post('/surveys/:id/drafts/:token/submit', async (req, res) => {
+  try {
+    const draft = await findDraft(req.params.id, req.params.token);
+    if (!draft) {
+      return res.status(404).json({ error: 'draft_not_found' });
+    }
+    const body = draftChanges(req.body);
+    if (!body) {
+      return res.status(400).json({
+        error: 'invalid_payload',
+        message: 'Payload must be an object with key/value pairs.',
+      });
+    }
+    return handleSubmit(req, res, req.params.id, {
+      id: draft.id,
+      body: {
+        ...body.meta,
+        // after the client's metadata, so it can't move the start time
+        _startedAt: draft.created_at.getTime(),
+        ...mergeDraftAnswers(draft.payload, body.changes),
+      },
+    });
+  } catch (err) {
+    console.error('Draft submit error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// --- Receipts ---
+// The respondent's own answers, comments as they wrote them
+app.get('/surveys/:id/receipts/:code', async (req, res) => {
+  try {
+    const submission = await findReceipt(req.params.id, req.params.code);
+    if (!submission) {
+      return res.status(404).json({ error: 'receipt_not_found' });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      answers: await receiptAnswers(submission),
+      language: submission.language,
+      revision: submission.revision,
+      submittedAt: submission.submitted_at,
+      updatedAt: submission.updated_at,
+    });
+  } catch (err) {
+    console.error('Receipt read error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// Change answers: merged into the current ones like a draft save (null or
+// "" clears one), checked against the current definition and stored as a
+// new revision. Forwarded as 'submission.updated' once accepted.
+app.put('/surveys/:id/receipts/:code', async (req, res) => {
+  try {
+    const submission = await findReceipt(req.params.id, req.params.code);
+    if (!submission) {
+      return res.status(404).json({ error: 'receipt_not_found' });
+    }
+    const rejected = windowRejection(await findSurvey(req.params.id));
+    if (rejected) {
+      return res.status(403).json(rejected);
+    }
+    const body = draftChanges(req.body);
+    const answers = body
+      ? mergeDraftAnswers(await receiptAnswers(submission), body.changes)
+      : null;
+    const definition = await getDefinition(req.params.id);
+    const validationError = validatePayload(answers, definition);
+    if (validationError) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_payload', message: validationError });
+    }
+
+    const index = definition ? indexDefinition(definition) : {};
+    const { payload: stored, originals } = redactPayload(
+      answers,
+      index,
+      await loadRedactor()
+    );
+    const updated = await withTransaction(async (client) => {
+      // The revision check loses a race with another edit or a cycle close
+      const { rows } = await client.query(
+        `UPDATE submissions
+         SET payload = $3, definition_version = $4,
+             revision = revision + 1, updated_at = now()
+         WHERE id = $1 AND revision = $2 AND receipt_hash IS NOT NULL
+           AND cycle IS NULL
+         RETURNING id, status, payload, language, submitted_at, revision,
+                   updated_at`,
+        [
+          submission.id,
+          submission.revision,
+          stored,
+          definition ? definition.version : null,
+        ]
+      );
+      if (!rows.length) return null;
+      await client.query(
+        `INSERT INTO submission_revisions
+           (submission_id, revision, payload, definition_version)
+         VALUES ($1, $2, $3, $4)`,
+        [
+          submission.id,
+          submission.revision,
+          submission.payload,
+          submission.definition_version,
+        ]
+      );
+      await client.query(
+        'DELETE FROM comment_originals WHERE submission_id = $1',
+        [submission.id]
+      );
+      await storeCommentOriginals(client, submission.id, originals);
+
+      // Themes and quote picks were for the old wording of a changed comment
+      const changed = Object.keys({ ...submission.payload, ...stored }).filter(
+        (k) => isTextKey(index, k) && submission.payload[k] !== stored[k]
+      );
+      if (changed.length) {
+        for (const table of ['comment_tags', 'comment_quotes']) {
+          await client.query(
+            `DELETE FROM ${table}
+             WHERE submission_id = $1 AND question_key = ANY ($2)`,
+            [submission.id, changed]
+          );
+        }
+      }
+      if (rows[0].status === 'accepted') {
+        await enqueueSubmissionWebhooks(
+          client,
+          req.params.id,
+          rows[0],
+          'submission.updated'
+        );
+      }
+      return rows[0];
+    });
+    if (!updated) {
+      return res.status(409).json({ error: 'edit_conflict' });
+    }
+    return res.json({
+      ok: true,
+      revision: updated.revision,
+      updatedAt: updated.updated_at,
+    });
+  } catch (err) {
+    console.error('Receipt edit error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// --- Survey registry ---
+
+// Public: whether the survey takes responses right now, so the front end
+// can say when it opens or that it has closed instead of showing the form
+app.get('/surveys/:id/status', async (req, res) => {
+  try {
+    const survey = await findSurvey(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ error: 'unknown_survey' });
+    }
+    res.setHeader('Cache-Control', 'no-store');
+    return res.json({
+      ok: true,
+      surveyId: survey.id,
+      title: survey.title,
+      accessMode: survey.access_mode,
+      ...surveyWindow(survey),
+    });
+  } catch (err) {
+    console.error('Survey status error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.get('/admin/surveys', requireAdmin(), async (_req, res) => {
+  try {
+    await ensureSchema();
+    const { rows } = await pool.query(`
+      SELECT s.id, s.title, s.created_at AS "createdAt",
+             s.access_mode AS "accessMode", s.opens_at, s.closes_at,
+             COUNT(sub.id) FILTER (
+               WHERE sub.status = 'accepted' AND sub.cycle IS NULL
+             )::int AS "totalSubmissions",
+             COUNT(sub.id) FILTER (WHERE sub.status = 'quarantined')::int
+               AS "quarantinedSubmissions"
+      FROM surveys s
+      LEFT JOIN submissions sub ON sub.survey_id = s.id
+      GROUP BY s.id
+      ORDER BY s.created_at, s.id
+    `);
+    return res.json({
+      ok: true,
+      surveys: rows.map(({ opens_at, closes_at, ...survey }) => ({
+        ...survey,
+        ...surveyWindow({ opens_at, closes_at }),
+      })),
+      defaultSurveyId: DEFAULT_SURVEY_ID,
+    });
+  } catch (err) {
+    console.error('Admin survey list error:', err);
+    return res
+      .status(500)
+      .json({ error: 'server_error', message: String(err) });
+  }
+});
+
+app.post(
+  '/admin/surveys',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const { id, title } = req.body || {};
+    if (typeof id !== 'string' || !SURVEY_ID_PATTERN.test(id)) {
+      return res.status(400).json({
+        error: 'invalid_survey_id',
+        message:
+          'Survey ID must be 1–64 letters, digits, underscores or dashes.',
+      });
+    }
+    if (typeof title !== 'string' || !title.trim() || title.length > 200) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_title', message: 'Title is required.' });
+    }
+
+    try {
+      await ensureSchema();
+      const { rows } = await pool.query(
+        `INSERT INTO surveys (id, title) VALUES ($1, $2)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING id, title, created_at AS "createdAt"`,
+        [id, title.trim()]
+      );
+      if (!rows.length) {
+        return res.status(409).json({ error: 'survey_exists' });
+      }
+      await audit(req, 'survey_create', {
+        surveyId: rows[0].id,
+        details: { title: rows[0].title },
+      });
+      return res.json({ ok: true, survey: rows[0] });
+    } catch (err) {
+      console.error('Admin survey create error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- Survey definitions ---
+
+// Public: the survey front end renders its questions from this, in the
+// language asked for with ?lang= or else the browser's preferred one. The
+// front end sends back `definition.language` as _lang when submitting.
+app.get('/surveys/:id/definition', async (req, res) => {
+  try {
+    const survey = await findSurvey(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ error: 'unknown_survey' });
+    }
+    const definition = await getDefinition(survey.id);
+    if (!definition) {
+      return res.status(404).json({ error: 'no_definition' });
+    }
+    const requested =
+      typeof req.query.lang === 'string'
+        ? req.query.lang.toLowerCase()
+        : req.acceptsLanguages(
+            ...definitionLanguages(definition).map((l) => l.code)
+          );
+    res.setHeader('Vary', 'Accept-Language');
+    return res.json({
+      ok: true,
+      definition: localizeDefinition(definition, requested),
+    });
+  } catch (err) {
+    console.error('Definition error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+app.get(
+  '/admin/surveys/:id/definitions',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { rows } = await pool.query(
+        `SELECT version, definition->>'title' AS title,
+                created_at AS "createdAt"
+         FROM survey_definitions WHERE survey_id = $1
+         ORDER BY version DESC`,
+        [survey.id]
+      );
+      return res.json({ ok: true, versions: rows });
+    } catch (err) {
+      console.error('Admin definition list error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+app.get(
+  '/admin/surveys/:id/definitions/:version',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const version = Number(req.params.version);
+      const definition = Number.isInteger(version)
+        ? await getDefinition(survey.id, version)
+        : null;
+      if (!definition) {
+        return res.status(404).json({ error: 'no_definition' });
+      }
+      return res.json({ ok: true, definition });
+    } catch (err) {
+      console.error('Admin definition error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Publishing a definition never edits an old version; it adds a new one
+// so earlier submissions keep pointing at the wording they answered.
+app.post(
+  '/admin/surveys/:id/definitions',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const definition = req.body;
+    const definitionError = validateDefinition(definition);
+    if (definitionError) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_definition', message: definitionError });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { version: _ignored, ...body } = definition;
+      const { rows } = await pool.query(
+        `INSERT INTO survey_definitions (survey_id, version, definition)
+         SELECT $1, COALESCE(MAX(version), 0) + 1, $2
+         FROM survey_definitions WHERE survey_id = $1
+         RETURNING version`,
+        [survey.id, body]
+      );
+      await audit(req, 'definition_publish', {
+        surveyId: survey.id,
+        target: rows[0].version,
+      });
+      return res.json({ ok: true, version: rows[0].version });
+    } catch (err) {
+      if (err && err.code === '23505') {
+        // another publish won the race for this version number
+        return res.status(409).json({ error: 'version_conflict' });
+      }
+      console.error('Admin definition publish error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- Survey cycles ---
+// Closing a cycle stamps the active submissions with a label and keeps them;
+// the next cycle starts empty. Archived cycles are only removed on request.
+const CYCLE_LABEL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9 ._-]{0,39}$/;
+
+app.get('/admin/surveys/:id/cycles', requireAdmin(), async (req, res) => {
+  try {
+    const survey = await findSurvey(req.params.id);
+    if (!survey) {
+      return res.status(404).json({ error: 'unknown_survey' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT label, closed_at AS "closedAt",
+              submission_count AS "submissionCount"
+       FROM survey_cycles WHERE survey_id = $1
+       ORDER BY closed_at DESC`,
+      [survey.id]
+    );
+    const active = await pool.query(
+      `SELECT COUNT(*)::int AS n FROM submissions
+       WHERE survey_id = $1 AND cycle IS NULL AND status = 'accepted'`,
+      [survey.id]
+    );
+    return res.json({
+      ok: true,
+      activeSubmissions: active.rows[0].n,
+      cycles: rows,
+    });
+  } catch (err) {
+    console.error('Admin cycle list error:', err);
+    return res
+      .status(500)
+      .json({ error: 'server_error', message: String(err) });
+  }
+});
+
+// Close the active cycle under a label such as "2024-25"
+app.post(
+  '/admin/surveys/:id/cycles',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const label = String((req.body && req.body.label) || '').trim();
+    if (!CYCLE_LABEL_PATTERN.test(label)) {
+      return res.status(400).json({
+        error: 'invalid_cycle_label',
+        message:
+          'Cycle label must be 1–40 letters, digits, spaces, dots, dashes or underscores.',
+      });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+
+      const cycle = await withTransaction(async (client) => {
+        const inserted = await client.query(
+          `INSERT INTO survey_cycles (survey_id, label) VALUES ($1, $2)
+           ON CONFLICT (survey_id, label) DO NOTHING
+           RETURNING label`,
+          [survey.id, label]
+        );
+        if (!inserted.rows.length) return null;
+
+        // Quarantined submissions move too but aren't counted. Receipt
+        // codes stop working.
+        const updated = await client.query(
+          `UPDATE submissions SET cycle = $2, receipt_hash = NULL
+           WHERE survey_id = $1 AND cycle IS NULL
+           RETURNING status`,
+          [survey.id, label]
+        );
+        const accepted = updated.rows.filter(
+          (r) => r.status === 'accepted'
+        ).length;
+        await client.query(
+          `UPDATE enrollment_targets SET cycle = $2
+           WHERE survey_id = $1 AND cycle IS NULL`,
+          [survey.id, label]
+        );
+        // Drafts can't be finished into a closed cycle
+        await client.query(
+          `UPDATE survey_drafts
+           SET cycle = $2, status = 'abandoned', payload = NULL,
+               token_hash = NULL
+           WHERE survey_id = $1 AND cycle IS NULL`,
+          [survey.id, label]
+        );
+        const { rows } = await client.query(
+          `UPDATE survey_cycles SET submission_count = $3
+           WHERE survey_id = $1 AND label = $2
+           RETURNING label, closed_at AS "closedAt",
+                     submission_count AS "submissionCount"`,
+          [survey.id, label, accepted]
+        );
+        return rows[0];
+      });
+
+      if (!cycle) {
+        return res.status(409).json({ error: 'cycle_exists' });
+      }
+      await audit(req, 'cycle_close', {
+        surveyId: survey.id,
+        target: cycle.label,
+        details: { submissionCount: cycle.submissionCount },
+      });
+      return res.json({ ok: true, cycle });
+    } catch (err) {
+      console.error('Admin cycle close error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+app.get(
+  '/admin/surveys/:id/cycles/:label/summary',
+  requireAdmin(),
+  (req, res) =>
+    sendSummary(req, res, req.params.id, req.params.label)
+);
+
+// Permanently delete an archived cycle. The label has to be repeated in
+// ?confirm= so a stray request can't wipe a year of data.
+app.delete(
+  '/admin/surveys/:id/cycles/:label',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const label = req.params.label;
+    if (req.query.confirm !== label) {
+      return res.status(400).json({
+        error: 'confirmation_required',
+        message: 'Repeat the cycle label in ?confirm= to delete it.',
+      });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+
+      const deleted = await withTransaction(async (client) => {
+        const cycle = await client.query(
+          'DELETE FROM survey_cycles WHERE survey_id = $1 AND label = $2',
+          [survey.id, label]
+        );
+        if (!cycle.rowCount) return null;
+        await client.query(
+          'DELETE FROM enrollment_targets WHERE survey_id = $1 AND cycle = $2',
+          [survey.id, label]
+        );
+        await client.query(
+          'DELETE FROM survey_drafts WHERE survey_id = $1 AND cycle = $2',
+          [survey.id, label]
+        );
+        const subs = await client.query(
+          'DELETE FROM submissions WHERE survey_id = $1 AND cycle = $2',
+          [survey.id, label]
+        );
+        return subs.rowCount;
+      });
+
+      if (deleted === null) {
+        return res.status(404).json({ error: 'unknown_cycle' });
+      }
+      await audit(req, 'cycle_delete', {
+        surveyId: survey.id,
+        target: label,
+        details: { deletedSubmissions: deleted },
+      });
+      return res.json({ ok: true, deletedSubmissions: deleted });
+    } catch (err) {
+      console.error('Admin cycle delete error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- Survey settings and invitation codes (district admins only) ---
+// Body: any of { "accessMode": "ip" | "invitation", "opensAt", "closesAt" }
+// (ISO timestamps, or null for no limit)
+app.patch(
+  '/admin/surveys/:id',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const { accessMode, opensAt, closesAt } = req.body || {};
+    if (
+      accessMode === undefined &&
+      opensAt === undefined &&
+      closesAt === undefined
+    ) {
+      return res.status(400).json({
+        error: 'invalid_update',
+        message: 'Give accessMode, opensAt or closesAt.',
+      });
+    }
+    if (accessMode !== undefined && !['ip', 'invitation'].includes(accessMode)) {
+      return res.status(400).json({
+        error: 'invalid_access_mode',
+        message: 'accessMode must be "ip" or "invitation".',
+      });
+    }
+    const dates = {};
+    for (const [name, value] of Object.entries({ opensAt, closesAt })) {
+      if (value === undefined || value === null) {
+        dates[name] = value;
+        continue;
+      }
+      dates[name] = new Date(value);
+      if (typeof value !== 'string' || Number.isNaN(dates[name].getTime())) {
+        return res.status(400).json({
+          error: 'invalid_window',
+          message: `${name} must be an ISO timestamp or null.`,
+        });
+      }
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const opens = dates.opensAt === undefined ? survey.opens_at : dates.opensAt;
+      const closes =
+        dates.closesAt === undefined ? survey.closes_at : dates.closesAt;
+      if (opens && closes && opens >= closes) {
+        return res.status(400).json({
+          error: 'invalid_window',
+          message: 'The survey must close after it opens.',
+        });
+      }
+      const { rows } = await pool.query(
+        `UPDATE surveys SET access_mode = $2, opens_at = $3, closes_at = $4
+         WHERE id = $1
+         RETURNING id, title, access_mode, opens_at, closes_at`,
+        [survey.id, accessMode || survey.access_mode, opens, closes]
+      );
+      await audit(req, 'survey_update', {
+        surveyId: survey.id,
+        details: { accessMode, opensAt: dates.opensAt, closesAt: dates.closesAt },
+      });
+      return res.json({
+        ok: true,
+        survey: {
+          id: rows[0].id,
+          title: rows[0].title,
+          accessMode: rows[0].access_mode,
+          ...surveyWindow(rows[0]),
+        },
+      });
+    } catch (err) {
+      console.error('Admin survey update error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Code counts per batch
+app.get(
+  '/admin/surveys/:id/invitations',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { rows } = await pool.query(
+        `SELECT batch, MIN(created_at) AS "createdAt",
+                COUNT(*)::int AS total, COUNT(used_on)::int AS used
+         FROM invitation_codes WHERE survey_id = $1
+         GROUP BY batch ORDER BY batch`,
+        [survey.id]
+      );
+      return res.json({
+        ok: true,
+        accessMode: survey.access_mode,
+        batches: rows,
+      });
+    } catch (err) {
+      console.error('Admin invitation list error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Generate a batch of unused codes, body { "count": 250 }
+app.post(
+  '/admin/surveys/:id/invitations',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const count = Number(req.body && req.body.count);
+    if (
+      !Number.isInteger(count) ||
+      count < 1 ||
+      count > MAX_INVITATIONS_PER_BATCH
+    ) {
+      return res.status(400).json({
+        error: 'invalid_count',
+        message: `count must be a whole number from 1 to ${MAX_INVITATIONS_PER_BATCH}.`,
+      });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+
+      const batch = await withTransaction(async (client) => {
+        // Serialize batch numbering per survey
+        await client.query('SELECT 1 FROM surveys WHERE id = $1 FOR UPDATE', [
+          survey.id,
+        ]);
+        const next = await client.query(
+          `SELECT COALESCE(MAX(batch), 0) + 1 AS batch
+           FROM invitation_codes WHERE survey_id = $1`,
+          [survey.id]
+        );
+        const number = next.rows[0].batch;
+
+        // A collision is vanishingly unlikely, but never hand out fewer
+        // codes than asked for
+        let remaining = count;
+        while (remaining > 0) {
+          const codes = Array.from({ length: remaining }, generateInvitationCode);
+          const inserted = await client.query(
+            `INSERT INTO invitation_codes (survey_id, code, batch)
+             SELECT $1, code, $3 FROM unnest($2::text[]) AS code
+             ON CONFLICT DO NOTHING`,
+            [survey.id, codes, number]
+          );
+          remaining -= inserted.rowCount;
+        }
+        return number;
+      });
+
+      await audit(req, 'invitations_create', {
+        surveyId: survey.id,
+        target: batch,
+        details: { count },
+      });
+      return res.json({ ok: true, batch, count });
+    } catch (err) {
+      console.error('Admin invitation create error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Codes for mail merge. ?batch= limits the file to one batch.
+app.get(
+  '/admin/surveys/:id/invitations.csv',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const batch = req.query.batch ? Number(req.query.batch) : null;
+    if (batch !== null && !Number.isInteger(batch)) {
+      return res.status(400).json({ error: 'invalid_batch' });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { rows } = await pool.query(
+        `SELECT code, batch, used_on FROM invitation_codes
+         WHERE survey_id = $1 AND ($2::int IS NULL OR batch = $2)
+         ORDER BY batch, created_at, code`,
+        [survey.id, batch]
+      );
+
+      const lines = [csvLine(['code', 'batch', 'used'])];
+      for (const row of rows) {
+        lines.push(
+          csvLine([
+            formatInvitationCode(row.code),
+            row.batch,
+            row.used_on ? 'yes' : 'no',
+          ])
+        );
+      }
+      await audit(req, 'invitations_export', {
+        surveyId: survey.id,
+        target: batch === null ? 'all' : batch,
+        details: { codes: rows.length },
+      });
+      setDownloadHeaders(
+        res,
+        exportFilename(
+          survey,
+          batch === null ? 'all' : `batch${batch}`,
+          'invitations',
+          'csv'
+        ),
+        'text/csv; charset=utf-8'
+      );
+      return res.send(lines.join(''));
+    } catch (err) {
+      console.error('Admin invitation export error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- Quarantined submissions (district admins only) ---
+const QUARANTINE_LIST_LIMIT = 500;
+
+app.get(
+  '/admin/surveys/:id/quarantine',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { rows } = await pool.query(
+        `SELECT id, submitted_at AS "submittedAt", cycle,
+                quarantine_reason AS reason, payload
+         FROM submissions
+         WHERE survey_id = $1 AND status = 'quarantined'
+         ORDER BY id DESC LIMIT $2`,
+        [survey.id, QUARANTINE_LIST_LIMIT]
+      );
+      return res.json({ ok: true, submissions: rows });
+    } catch (err) {
+      console.error('Admin quarantine list error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// body { "decision": "accept" } counts the submission in results;
+// "reject" deletes it
+app.post(
+  '/admin/surveys/:id/quarantine/:submissionId',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const decision = req.body && req.body.decision;
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        error: 'invalid_decision',
+        message: 'decision must be "accept" or "reject".',
+      });
+    }
+    const submissionId = Number(req.params.submissionId);
+    if (!Number.isInteger(submissionId)) {
+      return res.status(404).json({ error: 'unknown_submission' });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+
+      const reviewed = await withTransaction(async (client) => {
+        const { rows } = await client.query(
+          decision === 'accept'
+            ? `UPDATE submissions SET status = 'accepted'
+               WHERE id = $1 AND survey_id = $2 AND status = 'quarantined'
+               RETURNING id, cycle, quarantine_reason, payload, language,
+                         submitted_at, revision, updated_at`
+            : `DELETE FROM submissions
+               WHERE id = $1 AND survey_id = $2 AND status = 'quarantined'
+               RETURNING cycle, quarantine_reason`,
+          [submissionId, survey.id]
+        );
+        if (!rows.length) return null;
+        if (decision === 'accept') {
+          await enqueueSubmissionWebhooks(client, survey.id, rows[0]);
+        }
+        // Archived cycles keep a stored count of their accepted responses
+        if (decision === 'accept' && rows[0].cycle) {
+          await client.query(
+            `UPDATE survey_cycles SET submission_count = submission_count + 1
+             WHERE survey_id = $1 AND label = $2`,
+            [survey.id, rows[0].cycle]
+          );
+        }
+        return rows[0];
+      });
+
+      if (!reviewed) {
+        return res.status(404).json({ error: 'unknown_submission' });
+      }
+      await audit(req, 'quarantine_review', {
+        surveyId: survey.id,
+        target: submissionId,
+        details: { decision, reason: reviewed.quarantine_reason },
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Admin quarantine review error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- Webhook targets and deliveries (district admins only) ---
+const WEBHOOK_NAME_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > 2000) return false;
+  try {
+    return ['https:', 'http:'].includes(new URL(url).protocol);
+  } catch (_err) {
+    return false;
+  }
+}
+
+// surveys from a target body: null (every survey) or a list of survey ids
+function parseWebhookSurveys(surveys) {
+  if (surveys === null || surveys === undefined) return { value: null };
+  if (
+    !Array.isArray(surveys) ||
+    !surveys.length ||
+    surveys.some((id) => typeof id !== 'string' || !SURVEY_ID_PATTERN.test(id))
+  ) {
+    return { error: 'surveys must be null or a list of survey ids.' };
+  }
+  return { value: [...new Set(surveys)] };
+}
+
+function publicWebhookTarget(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    surveys: row.surveys,
+    enabled: row.enabled,
+    createdAt: row.created_at,
+  };
+}
+
+app.get('/admin/webhooks', requireAdmin('district_admin'), async (_req, res) => {
+  try {
+    await ensureSchema();
+    const { rows } = await pool.query(`
+      SELECT t.*,
+             COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending,
+             COUNT(d.id) FILTER (WHERE d.status = 'delivered')::int AS delivered,
+             COUNT(d.id) FILTER (WHERE d.status = 'dead')::int AS dead
+      FROM webhook_targets t
+      LEFT JOIN webhook_deliveries d ON d.target_id = t.id
+      GROUP BY t.id
+      ORDER BY t.name
+    `);
+    return res.json({
+      ok: true,
+      targets: rows.map((row) => ({
+        ...publicWebhookTarget(row),
+        deliveries: {
+          pending: row.pending,
+          delivered: row.delivered,
+          dead: row.dead,
+        },
+      })),
+    });
+  } catch (err) {
+    console.error('Admin webhook list error:', err);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
+// The signing secret is only returned here and when it's rotated
+app.post(
+  '/admin/webhooks',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const body = req.body || {};
+    if (typeof body.name !== 'string' || !WEBHOOK_NAME_PATTERN.test(body.name)) {
+      return res.status(400).json({
+        error: 'invalid_name',
+        message: 'Name must be 1–64 lowercase letters, digits, dashes or underscores.',
+      });
+    }
+    if (!validateWebhookUrl(body.url)) {
+      return res.status(400).json({ error: 'invalid_url' });
+    }
+    const surveys = parseWebhookSurveys(body.surveys);
+    if (surveys.error) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_surveys', message: surveys.error });
+    }
+
+    try {
+      await ensureSchema();
+      const secret = crypto.randomBytes(32).toString('hex');
+      const { rows } = await pool.query(
+        `INSERT INTO webhook_targets (name, url, secret, surveys)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (name) DO NOTHING
+         RETURNING *`,
+        [body.name, body.url, secret, surveys.value]
+      );
+      if (!rows.length) {
+        return res.status(409).json({ error: 'webhook_exists' });
+      }
+      await audit(req, 'webhook_create', {
+        target: body.name,
+        details: { url: body.url, surveys: surveys.value },
+      });
+      return res.json({
+        ok: true,
+        target: publicWebhookTarget(rows[0]),
+        secret,
+      });
+    } catch (err) {
+      console.error('Admin webhook create error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  }
+);
+
+// Any of { url, surveys, enabled, rotateSecret: true }
+app.patch(
+  '/admin/webhooks/:targetId',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const targetId = Number(req.params.targetId);
+    const body = req.body || {};
+    if (body.url !== undefined && !validateWebhookUrl(body.url)) {
+      return res.status(400).json({ error: 'invalid_url' });
+    }
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'invalid_enabled' });
+    }
+    const surveys =
+      body.surveys !== undefined ? parseWebhookSurveys(body.surveys) : null;
+    if (surveys && surveys.error) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_surveys', message: surveys.error });
+    }
+    if (!Number.isInteger(targetId)) {
+      return res.status(404).json({ error: 'unknown_webhook' });
+    }
+
+    try {
+      await ensureSchema();
+      const secret =
+        body.rotateSecret === true ? crypto.randomBytes(32).toString('hex') : null;
+      const { rows } = await pool.query(
+        `UPDATE webhook_targets SET
+           url = COALESCE($2, url),
+           enabled = COALESCE($3, enabled),
+           secret = COALESCE($4, secret),
+           surveys = CASE WHEN $5 THEN $6::text[] ELSE surveys END
+         WHERE id = $1
+         RETURNING *`,
+        [
+          targetId,
+          body.url ?? null,
+          body.enabled ?? null,
+          secret,
+          Boolean(surveys),
+          surveys ? surveys.value : null,
+        ]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ error: 'unknown_webhook' });
+      }
+      await audit(req, 'webhook_update', {
+        target: rows[0].name,
+        details: {
+          url: body.url,
+          enabled: body.enabled,
+          surveys: surveys ? surveys.value : undefined,
+          secretRotated: secret ? true : undefined,
+        },
+      });
+      return res.json({
+        ok: true,
+        target: publicWebhookTarget(rows[0]),
+        ...(secret ? { secret } : {}),
+      });
+    } catch (err) {
+      console.error('Admin webhook update error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  }
+);
+
+// Newest first; ?status=pending|delivered|dead, ?target=<id>, ?before=<id>
+app.get(
+  '/admin/webhooks/deliveries',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const { status, target, before } = req.query;
+    if (status && !['pending', 'delivered', 'dead'].includes(status)) {
+      return res.status(400).json({ error: 'invalid_status' });
+    }
+    if (before && !/^\d+$/.test(before)) {
+      return res.status(400).json({ error: 'invalid_before' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    try {
+      await ensureSchema();
+      const { rows } = await pool.query(
+        `SELECT d.id, t.name AS target, d.survey_id AS "surveyId", d.event,
+                d.status, d.attempts, d.last_error AS "lastError",
+                d.created_at AS "createdAt",
+                d.next_attempt_at AS "nextAttemptAt",
+                d.delivered_at AS "deliveredAt"
+         FROM webhook_deliveries d
+         JOIN webhook_targets t ON t.id = d.target_id
+         WHERE ($1::text IS NULL OR d.status = $1)
+           AND ($2::int IS NULL OR d.target_id = $2)
+           AND ($3::bigint IS NULL OR d.id < $3)
+         ORDER BY d.id DESC
+         LIMIT $4`,
+        [
+          status || null,
+          Number.isInteger(Number(target)) && target ? Number(target) : null,
+          before || null,
+          limit + 1,
+        ]
+      );
+      const more = rows.length > limit;
+      const deliveries = rows.slice(0, limit);
+      return res.json({
+        ok: true,
+        deliveries,
+        nextBefore: more ? deliveries[deliveries.length - 1].id : null,
+      });
+    } catch (err) {
+      console.error('Admin webhook delivery list error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  }
+);
+
+// Send dead (or already delivered) deliveries again from scratch.
+// body { "ids": [...] } for specific deliveries, or { "targetId": n } /
+// {} for every dead delivery (of one target).
+app.post(
+  '/admin/webhooks/deliveries/replay',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const body = req.body || {};
+    const ids = body.ids;
+    if (
+      ids !== undefined &&
+      (!Array.isArray(ids) ||
+        !ids.length ||
+        ids.some((id) => !/^\d+$/.test(String(id))))
+    ) {
+      return res.status(400).json({ error: 'invalid_ids' });
+    }
+    if (body.targetId !== undefined && !Number.isInteger(body.targetId)) {
+      return res.status(400).json({ error: 'invalid_target' });
+    }
+
+    try {
+      await ensureSchema();
+      const { rowCount } = await pool.query(
+        ids
+          ? `UPDATE webhook_deliveries
+             SET status = 'pending', attempts = 0, next_attempt_at = now(),
+                 last_error = NULL, delivered_at = NULL
+             WHERE id = ANY ($1::bigint[]) AND status <> 'pending'`
+          : `UPDATE webhook_deliveries
+             SET status = 'pending', attempts = 0, next_attempt_at = now(),
+                 last_error = NULL
+             WHERE status = 'dead' AND ($1::int IS NULL OR target_id = $1)`,
+        [ids ? ids.map(String) : body.targetId ?? null]
+      );
+      await audit(req, 'webhook_replay', {
+        target: ids ? ids.join(',') : body.targetId ?? 'all',
+        details: { replayed: rowCount },
+      });
+      return res.json({ ok: true, replayed: rowCount });
+    } catch (err) {
+      console.error('Admin webhook replay error:', err);
+      return res.status(500).json({ error: 'server_error' });
+    }
+  }
+);
+
+// --- Admin summary route (used by admin.html/admin.js) ---
+// Summarizes the active cycle unless an archived cycle label is given.
+// With a building scope, respondents and answers from other buildings are
+// left out here, before anything reaches the response. Section, building
+// and question text (and so the category and building names results are
+// grouped by) are in `language` where the definition translates them.
+async function buildSummary(
+  surveyId,
+  cycle = null,
+  scope = null,
+  segment = null,
+  language = null
+) {
+  await ensureSchema();
+
+  const stored = await getDefinition(surveyId);
+  const definition = stored ? localizeDefinition(stored, language) : null;
+  const index = definition ? indexDefinition(definition) : {};
+
+  const params = [surveyId, cycle];
+  const { rows: allRows } = await pool.query(
+    `SELECT payload, language FROM submissions
+     WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2
+       AND status = 'accepted'${segmentConditions(segment, params)}`,
+    params
+  );
+  const rows = allRows.filter((row) => rowInScope(index, row.payload, scope));
+  const suppression = cellSuppression(definition, index, rows, scope);
+  const redact = await loadRedactor();
+  const questions = {};
+  const freeText = {};
+  const analyzed = []; // one entry per comment, for the text analysis
+  const hiddenGroups = new Map(); // category × building with suppressed comments
+  const totalSubmissions = rows.length;
+
+  for (const row of rows) {
+    const payload = row.payload || {};
+    let labels = null; // comment buildings, worked out on first comment
+    for (const [key, rawVal] of Object.entries(payload)) {
+      if (!keyInScope(index, key, scope)) continue;
+      const val = rawVal == null ? '' : String(rawVal).trim();
+
+      // Keys the definition knows are classified by question type; anything
+      // else (older submissions, surveys without a definition) by its name.
+      const entry = index[key];
+      const type = entry
+        ? entry.question.type
+        : key.endsWith('_free')
+          ? 'text'
+          : 'scale';
+
+      // Free-text fields (section open responses), grouped by building
+      // label. A family answering for several buildings has the comment
+      // listed under each; `responses` counts it once. Suppressed buildings
+      // get the note instead of their comments.
+      if (type === 'text') {
+        if (!val) continue;
+        if (!freeText[key]) {
+          freeText[key] = { key, responses: 0, byBuilding: {} };
+        }
+        if (!labels) {
+          labels = commentLabels(definition, index, payload, scope);
+        }
+        const shown = [];
+        for (const label of labels) {
+          if (!labelSuppressed(suppression, label)) {
+            shown.push(label);
+            continue;
+          }
+          freeText[key].byBuilding[label] = suppressedCell();
+          const category = keyMeta(index, key).category;
+          hiddenGroups.set(JSON.stringify([category, label]), {
+            category,
+            building: label,
+          });
+        }
+        if (!shown.length) continue;
+        freeText[key].responses += 1;
+        const text = redact(val);
+        for (const label of shown) {
+          (freeText[key].byBuilding[label] ||= []).push(text);
+        }
+        analyzed.push({ key, labels: shown, analysis: analyzeComment(text) });
+        continue;
+      }
+
+      // Everything else is counted by type (scale: 1–5 unless the
+      // definition says otherwise); answers the question can't take are
+      // dropped
+      if (!val) continue;
+      const question = entry ? entry.question : null;
+      const q = questions[key] || newAggregate(key, type, question);
+      if (addAnswer(q, question, val)) questions[key] = q;
+    }
+  }
+
+  // Averages and spread per question, pooled per category and building
+  // (the groups the dashboard charts), each building tested against the
+  // rest of the district in the same question or group
+  for (const q of Object.values(questions)) {
+    // Without a definition, a key answered only "N/A" is not a question
+    if (!index[q.key] && !q.responses) {
+      delete questions[q.key];
+      continue;
+    }
+    if (keySuppressed(suppression, index, q.key, q.responses + q.na)) {
+      questions[q.key] = { key: q.key, type: q.type, ...suppressedCell() };
+    } else {
+      finishAggregate(q);
+    }
+  }
+  const tallies = {};
+  for (const q of Object.values(questions)) {
+    if (q.suppressed || q.type !== 'scale') continue;
+    tallies[q.key] = tallyCounts(q.counts, q.min, q.max);
+    Object.assign(q, describeTally(tallies[q.key]));
+  }
+  const statistics = summaryStatistics(index, questions, tallies);
+
+  // Buildings in definition order, "All / N/A" last
+  const buildingOrder = ((definition && definition.buildings) || []).map(
+    (b) => b.label
+  );
+  const rank = (label) => {
+    if (label === NO_BUILDING_LABEL) return Infinity;
+    const i = buildingOrder.indexOf(label);
+    return i === -1 ? buildingOrder.length : i;
+  };
+  for (const info of Object.values(freeText)) {
+    info.byBuilding = Object.fromEntries(
+      Object.entries(info.byBuilding).sort(([a], [b]) => rank(a) - rank(b))
+    );
+    info.analysis = summarizeAnalyses(
+      analyzed.filter((c) => c.key === info.key).map((c) => c.analysis)
+    );
+  }
+
+  // Sentiment and key phrases per category (section) and building label,
+  // in definition order. Like freeText, a comment counts for each of its
+  // buildings.
+  const sectionOrder = ((definition && definition.sections) || []).map(
+    (s) => s.title
+  );
+  const sectionRank = (title) => {
+    const i = sectionOrder.indexOf(title);
+    return i === -1 ? sectionOrder.length : i;
+  };
+  const groups = new Map();
+  for (const c of analyzed) {
+    const category = keyMeta(index, c.key).category;
+    for (const building of c.labels) {
+      const id = JSON.stringify([category, building]);
+      if (!groups.has(id)) groups.set(id, { category, building, analyses: [] });
+      groups.get(id).analyses.push(c.analysis);
+    }
+  }
+  for (const [id, group] of hiddenGroups) {
+    if (!groups.has(id)) groups.set(id, { ...group, suppressed: true });
+  }
+  const textAnalysis = [...groups.values()]
+    .sort(
+      (a, b) =>
+        sectionRank(a.category) - sectionRank(b.category) ||
+        a.category.localeCompare(b.category) ||
+        rank(a.building) - rank(b.building)
+    )
+    .map(({ category, building, analyses, suppressed }) => ({
+      category,
+      building,
+      ...(suppressed ? suppressedCell() : summarizeAnalyses(analyses)),
+    }));
+
+  return {
+    surveyId,
+    cycle,
+    scope,
+    segment,
+    totalSubmissions,
+    questions,
+    freeText,
+    textAnalysis,
+    statistics,
+    suppression,
+    byLanguage: definition ? languageBreakdown(definition, index, rows, scope) : null,
+    // Drafts carry no answers to filter on, so segments get no funnel
+    funnel:
+      definition && !segment
+        ? await loadFunnel(surveyId, cycle, definition, rows.length, scope)
+        : null,
+    definition,
+  };
+}
+
+// Respondents per response language with their average scale answer on
+// the 1–5 range, overall and per section (N/A left out): every language the definition
+// offers, then any others found, then "Not recorded" for submissions from
+// before languages were recorded. Groups below the minimum cell size are
+// suppressed.
+function languageBreakdown(definition, index, rows, scope) {
+  const sectionTitles = definition.sections.map((s) => s.title);
+  const groups = new Map(
+    definition.languages.map((l) => [l.code, { ...l, rows: 0 }])
+  );
+  for (const row of rows) {
+    const code = row.language || null;
+    if (!groups.has(code)) {
+      groups.set(code, {
+        code,
+        name: code ? languageName(code) : 'Not recorded',
+        rows: 0,
+      });
+    }
+    const group = groups.get(code);
+    group.rows += 1;
+    for (const [key, value] of Object.entries(row.payload || {})) {
+      const entry = index[key];
+      if (!entry || entry.question.type !== 'scale') continue;
+      if (!keyInScope(index, key, scope)) continue;
+      const { min, max } = answerRange(entry.question);
+      const num = Number(value);
+      if (value === '' || !Number.isInteger(num) || num < min || num > max) {
+        continue;
+      }
+      for (const name of ['all', entry.section.title]) {
+        const sum = ((group.sums ||= {})[name] ||= { total: 0, responses: 0 });
+        sum.total += toPooledScale(num, min, max);
+        sum.responses += 1;
+      }
+    }
+  }
+  // Keep "Not recorded" last
+  const ordered = [...groups.values()].sort(
+    (a, b) => (a.code === null) - (b.code === null)
+  );
+
+  const average = (sum) => (sum ? sum.total / sum.responses : null);
+  return ordered.map((group) => {
+    const head = { language: group.code, name: group.name };
+    if (group.rows && belowMinimum(group.rows)) {
+      return { ...head, ...suppressedCell() };
+    }
+    const sums = group.sums || {};
+    return {
+      ...head,
+      submissions: group.rows,
+      share: rows.length ? (group.rows / rows.length) * 100 : null,
+      average: average(sums.all),
+      sections: sectionTitles.map((title) => ({
+        title,
+        responses: sums[title] ? sums[title].responses : 0,
+        average: average(sums[title]),
+      })),
+    };
+  });
+}
+
+// Building comparisons for each question plus pooled statistics per
+// category, building and category × building, shaped like
+// compareSummaries(). "District" means the buildings in this summary, so a
+// viewer scoped to one building gets no comparison. Only the questions in
+// `tallies` (the ones not suppressed) count.
+function summaryStatistics(index, questions, tallies) {
+  const isBuilding = (label) => label !== NO_BUILDING_LABEL;
+
+  // Per-building keys of the same question, by question key
+  const siblings = new Map();
+  for (const key of Object.keys(tallies)) {
+    const entry = index[key];
+    if (!entry || !entry.building) continue;
+    const id = entry.question.key;
+    if (!siblings.has(id)) siblings.set(id, []);
+    siblings.get(id).push(key);
+  }
+  for (const keys of siblings.values()) {
+    for (const key of keys) {
+      const rest = mergeTallies(
+        keys.filter((other) => other !== key).map((other) => tallies[other])
+      );
+      questions[key].vsDistrict = compareWithDistrict(tallies[key], rest);
+    }
+  }
+
+  // categoryBuildings is keyed by JSON [category, building], which stays
+  // unambiguous whatever characters the labels contain
+  const pooled = { categories: {}, buildings: {}, categoryBuildings: {} };
+  const addTo = (bucket, name, tally) => (bucket[name] ||= []).push(tally);
+  for (const key of Object.keys(tallies)) {
+    const { category, building } = keyMeta(index, key);
+    const { min, max } = questions[key];
+    const tally = pooledTally(tallies[key], min, max);
+    addTo(pooled.categories, category, tally);
+    addTo(pooled.buildings, building, tally);
+    addTo(pooled.categoryBuildings, JSON.stringify([category, building]), tally);
+  }
+  for (const bucket of Object.values(pooled)) {
+    for (const [name, list] of Object.entries(bucket)) {
+      bucket[name] = mergeTallies(list);
+    }
+  }
+
+  // Tests one building's pooled answers against the other buildings
+  // among `names` (group names within the same bucket)
+  function describeGroup(bucket, name, building, otherNames) {
+    const stats = describeTally(bucket[name]);
+    if (isBuilding(building)) {
+      const rest = mergeTallies(otherNames.map((other) => bucket[other]));
+      stats.vsDistrict = compareWithDistrict(bucket[name], rest);
+    }
+    return stats;
+  }
+
+  const categories = {};
+  for (const name of Object.keys(pooled.categories)) {
+    categories[name] = describeTally(pooled.categories[name]);
+  }
+  const buildingNames = Object.keys(pooled.buildings);
+  const buildings = {};
+  for (const name of buildingNames) {
+    buildings[name] = describeGroup(
+      pooled.buildings,
+      name,
+      name,
+      buildingNames.filter((other) => other !== name && isBuilding(other))
+    );
+  }
+  const cellNames = Object.keys(pooled.categoryBuildings);
+  const categoryBuildings = cellNames.map((name) => {
+    const [category, building] = JSON.parse(name);
+    const others = cellNames.filter((other) => {
+      const [c, b] = JSON.parse(other);
+      return c === category && b !== building && isBuilding(b);
+    });
+    return {
+      category,
+      building,
+      ...describeGroup(pooled.categoryBuildings, name, building, others),
+    };
+  });
+
+  return { categories, buildings, categoryBuildings };
+}
+
+// Year-over-year comparison of two summaries (an earlier cycle and a later
+// one). Group averages are pooled over every scale response in the group
+// on the 1–5 range, the same way the dashboard charts aggregate them.
+function compareSummaries(from, to, definition) {
+  const index = definition ? indexDefinition(definition) : {};
+
+  function side(q) {
+    if (q && q.suppressed) {
+      return { responses: null, average: null, ...suppressedCell() };
+    }
+    if (q && q.type === 'nps') {
+      return { responses: q.responses, average: q.average, nps: q.nps };
+    }
+    return q
+      ? { responses: q.responses, average: q.average }
+      : { responses: 0, average: null };
+  }
+
+  function delta(a, b) {
+    return a.average == null || b.average == null
+      ? null
+      : b.average - a.average;
+  }
+
+  // categoryBuildings is keyed by JSON [category, building]
+  const groups = { categories: {}, buildings: {}, categoryBuildings: {} };
+  function addTo(bucket, name, which, q) {
+    if (!bucket[name]) {
+      bucket[name] = {
+        from: { responses: 0, sum: 0 },
+        to: { responses: 0, sum: 0 },
+      };
+    }
+    bucket[name][which].responses += q.responses;
+    bucket[name][which].sum +=
+      q.responses * toPooledScale(q.average, q.min, q.max);
+  }
+
+  const keys = new Set([
+    ...Object.keys(from.questions),
+    ...Object.keys(to.questions),
+  ]);
+  const questions = {};
+  for (const key of keys) {
+    // Only questions with an average compare; scale ones also pool into
+    // the groups
+    const type = (from.questions[key] || to.questions[key]).type;
+    if (type !== 'scale' && type !== 'nps') continue;
+    const a = side(from.questions[key]);
+    const b = side(to.questions[key]);
+    questions[key] = { key, from: a, to: b, delta: delta(a, b) };
+    if (type === 'nps') {
+      questions[key].type = type;
+      questions[key].npsDelta =
+        a.nps == null || b.nps == null ? null : b.nps - a.nps;
+    }
+    if (type !== 'scale') continue;
+
+    const meta = keyMeta(index, key);
+    for (const [which, summary] of [['from', from], ['to', to]]) {
+      const q = summary.questions[key];
+      if (!q || !q.responses) continue;
+      addTo(groups.categories, meta.category, which, q);
+      addTo(groups.buildings, meta.building, which, q);
+      addTo(
+        groups.categoryBuildings,
+        JSON.stringify([meta.category, meta.building]),
+        which,
+        q
+      );
+    }
+  }
+
+  function finish(bucket) {
+    const out = {};
+    for (const [name, node] of Object.entries(bucket)) {
+      const a = {
+        responses: node.from.responses,
+        average: node.from.responses ? node.from.sum / node.from.responses : null,
+      };
+      const b = {
+        responses: node.to.responses,
+        average: node.to.responses ? node.to.sum / node.to.responses : null,
+      };
+      out[name] = { from: a, to: b, delta: delta(a, b) };
+    }
+    return out;
+  }
+
+  const categoryBuildings = [];
+  for (const [name, node] of Object.entries(finish(groups.categoryBuildings))) {
+    const [category, building] = JSON.parse(name);
+    categoryBuildings.push({ category, building, ...node });
+  }
+
+  return {
+    from: { cycle: from.cycle, totalSubmissions: from.totalSubmissions },
+    to: { cycle: to.cycle, totalSubmissions: to.totalSubmissions },
+    questions,
+    categories: finish(groups.categories),
+    buildings: finish(groups.buildings),
+    categoryBuildings,
+  };
+}
+
+// Protected summary endpoints
+async function cycleExists(surveyId, cycle) {
+  const { rowCount } = await pool.query(
+    'SELECT 1 FROM survey_cycles WHERE survey_id = $1 AND label = $2',
+    [surveyId, cycle]
+  );
+  return rowCount > 0;
+}
+
+// Was cycle `a` closed before cycle `b`? (null = the active cycle)
+async function cycleIsEarlier(surveyId, a, b) {
+  if (a === null) return false;
+  if (b === null) return true;
+  const { rows } = await pool.query(
+    `SELECT label FROM survey_cycles
+     WHERE survey_id = $1 AND label IN ($2, $3)
+     ORDER BY closed_at`,
+    [surveyId, a, b]
+  );
+  return rows.length > 0 && rows[0].label === a;
+}
+
+// ?compare=<label> (or "active") adds a comparison against that cycle;
+// ?lang= shows the survey's text in one of its translations
+async function sendSummary(req, res, surveyId, cycle = null) {
+  const compare =
+    typeof req.query.compare === 'string' ? req.query.compare : '';
+  const language = typeof req.query.lang === 'string' ? req.query.lang : null;
+  const scope = adminScope(req);
+  const { segment, error: segmentError } = parseSegment(req.query);
+  if (segmentError) {
+    return res
+      .status(400)
+      .json({ error: 'invalid_filter', message: segmentError });
+  }
+  try {
+    const survey = await findSurvey(surveyId);
+    if (!survey) {
+      return res.status(404).json({ error: 'unknown_survey' });
+    }
+    if (cycle && !(await cycleExists(survey.id, cycle))) {
+      return res.status(404).json({ error: 'unknown_cycle' });
+    }
+    const compareCycle = compare === 'active' ? null : compare;
+    if (compareCycle && !(await cycleExists(survey.id, compareCycle))) {
+      return res.status(404).json({ error: 'unknown_cycle' });
+    }
+
+    const definition = await getDefinition(survey.id);
+    const index = definition ? indexDefinition(definition) : {};
+    if (!segmentInScope(segment, index, scope)) {
+      return res.status(403).json({ error: 'filter_out_of_scope' });
+    }
+
+    const summary = await buildSummary(
+      survey.id,
+      cycle,
+      scope,
+      segment,
+      language
+    );
+    summary.surveyTitle = survey.title;
+
+    // The comparison cycle is narrowed to the same segment
+    if (compare && compareCycle !== cycle) {
+      const other = await buildSummary(
+        survey.id,
+        compareCycle,
+        scope,
+        segment,
+        language
+      );
+      // Order the pair chronologically; the active cycle is always latest.
+      const otherIsEarlier = await cycleIsEarlier(
+        survey.id,
+        compareCycle,
+        cycle
+      );
+      summary.comparison = otherIsEarlier
+        ? compareSummaries(other, summary, summary.definition)
+        : compareSummaries(summary, other, summary.definition);
+    }
+    await audit(req, 'summary_view', {
+      surveyId: survey.id,
+      target: cycle || 'active',
+      details: {
+        compare: compare || undefined,
+        filter: segment ? req.query.filter : undefined,
+        responseLanguage:
+          segment && segment.languages.length ? segment.languages : undefined,
+        from: segment && segment.from ? segment.from : undefined,
+        to: segment && segment.to ? segment.to : undefined,
+      },
+    });
+    return res.json({ ok: true, summary });
+  } catch (err) {
+    console.error('Admin summary error:', err);
+    return res
+      .status(500)
+      .json({ error: 'server_error', message: String(err) });
+  }
+}
+
+app.get('/admin/surveys/:id/summary', requireAdmin(), (req, res) =>
+  sendSummary(req, res, req.params.id)
+);
+
+app.get('/admin/summary', requireAdmin(), (req, res) =>
+  sendSummary(req, res, DEFAULT_SURVEY_ID)
+);
+
+// Older alias of /admin/summary, signed in and scoped the same way
+app.get('/summary', requireAdmin(), (req, res) =>
+  sendSummary(req, res, DEFAULT_SURVEY_ID)
+);
+
+// --- Response rates ---
+// Submissions per day and per building, against the number of families the
+// district enters for each building per cycle (enrollment targets).
+
+const TARGET_MAX_FAMILIES = 1000000;
+// Projections assume the pace of the last PACE_DAYS days continues
+const PACE_DAYS = 7;
+
+function validTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+// 'YYYY-MM-DD' of an instant in a time zone
+function localDay(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+function addDays(day, n) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + n);
+  return date.toISOString().slice(0, 10);
+}
+
+async function loadTargets(surveyId, cycle) {
+  const { rows } = await pool.query(
+    `SELECT building_id, families FROM enrollment_targets
+     WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2`,
+    [surveyId, cycle]
+  );
+  return Object.fromEntries(rows.map((r) => [r.building_id, r.families]));
+}
+
+// Day a count reaches its target if `recent` responses per `paceDays`
+// continue; null when there is no target, it is met, or nothing came in
+function projectCompletion(count, target, recent, paceDays, today) {
+  if (!target || count >= target || !recent) return null;
+  return addDays(today, Math.ceil((target - count) / (recent / paceDays)));
+}
+
+// ?cycle=, ?tz= (IANA time zone for the day boundaries, default UTC)
+app.get(
+  '/admin/surveys/:id/responses',
+  requireAdmin(),
+  async (req, res) => {
+    const timeZone =
+      typeof req.query.tz === 'string' && req.query.tz ? req.query.tz : 'UTC';
+    if (!validTimeZone(timeZone)) {
+      return res.status(400).json({ error: 'invalid_time_zone' });
+    }
+
+    try {
+      const target = await surveyCycleTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const definition = await getDefinition(survey.id);
+      const index = definition ? indexDefinition(definition) : {};
+      const [{ rows }, targets] = await Promise.all([
+        pool.query(
+          `SELECT submitted_at, payload FROM submissions
+           WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2
+             AND status = 'accepted'
+           ORDER BY submitted_at`,
+          [survey.id, cycle]
+        ),
+        loadTargets(survey.id, cycle),
+      ]);
+
+      // A closed cycle has no pace or projection
+      const today = localDay(new Date(), timeZone);
+      const paceFrom = cycle ? null : addDays(today, 1 - PACE_DAYS);
+      const buildings = ((definition && definition.buildings) || []).filter(
+        (b) => !scope || scope.includes(b.id)
+      );
+      const byLabel = new Map(
+        buildings.map((b) => [b.label, { responses: 0, recent: 0 }])
+      );
+
+      // A family answering for several buildings counts for each
+      const perDay = new Map();
+      let total = 0;
+      let recent = 0;
+      for (const row of rows) {
+        if (!rowInScope(index, row.payload, scope)) continue;
+        const day = localDay(row.submitted_at, timeZone);
+        const isRecent = paceFrom !== null && day >= paceFrom;
+        perDay.set(day, (perDay.get(day) || 0) + 1);
+        total += 1;
+        if (isRecent) recent += 1;
+        for (const label of respondentLabels(
+          definition,
+          index,
+          row.payload,
+          scope
+        )) {
+          const node = byLabel.get(label);
+          if (!node) continue;
+          node.responses += 1;
+          if (isRecent) node.recent += 1;
+        }
+      }
+
+      // Every day from the first submission to today (an open cycle) or to
+      // the last submission (a closed one)
+      const daily = [];
+      const days = [...perDay.keys()];
+      if (days.length) {
+        const last =
+          cycle || days[days.length - 1] > today ? days[days.length - 1] : today;
+        let cumulative = 0;
+        for (let day = days[0]; day <= last; day = addDays(day, 1)) {
+          const count = perDay.get(day) || 0;
+          cumulative += count;
+          daily.push({ date: day, count, cumulative });
+        }
+      }
+      const paceDays = Math.min(PACE_DAYS, Math.max(daily.length, 1));
+      const project = (count, families, recentCount) =>
+        cycle
+          ? null
+          : projectCompletion(count, families, recentCount, paceDays, today);
+
+      const rates = buildings.map((b) => {
+        const node = byLabel.get(b.label);
+        const families = targets[b.id] || null;
+        return {
+          id: b.id,
+          label: b.label,
+          families,
+          responses: node.responses,
+          rate: families ? node.responses / families : null,
+          projectedDate: project(node.responses, families, node.recent),
+        };
+      });
+
+      // Overall: the buildings that have a target
+      const withTargets = rates.filter((b) => b.families);
+      const families = withTargets.reduce((n, b) => n + b.families, 0);
+      const responses = withTargets.reduce((n, b) => n + b.responses, 0);
+      const recentWithTargets = withTargets.reduce(
+        (n, b) => n + byLabel.get(b.label).recent,
+        0
+      );
+
+      return res.json({
+        ok: true,
+        cycle,
+        timeZone,
+        today,
+        total,
+        daily,
+        pace: cycle
+          ? null
+          : { days: paceDays, submissions: recent, perDay: recent / paceDays },
+        buildings: rates,
+        overall: {
+          families: families || null,
+          responses,
+          rate: families ? responses / families : null,
+          projectedDate: project(responses, families, recentWithTargets),
+        },
+      });
+    } catch (err) {
+      console.error('Admin responses error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Body { "targets": { "<building id>": families | null } }; null removes a
+// building's target. ?cycle= for an archived cycle.
+app.put(
+  '/admin/surveys/:id/targets',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const body = req.body || {};
+    const entries =
+      body.targets &&
+      typeof body.targets === 'object' &&
+      !Array.isArray(body.targets)
+        ? Object.entries(body.targets)
+        : [];
+    if (!entries.length) {
+      return res.status(400).json({
+        error: 'invalid_targets',
+        message: 'Send { "targets": { "<building id>": families } }.',
+      });
+    }
+
+    try {
+      const target = await surveyCycleTarget(req, res);
+      if (!target) return;
+      const { survey, cycle } = target;
+
+      const definition = await getDefinition(survey.id);
+      const ids = ((definition && definition.buildings) || []).map((b) => b.id);
+      for (const [id, families] of entries) {
+        if (!ids.includes(id)) {
+          return res.status(400).json({
+            error: 'unknown_building',
+            message: `${id} is not a building of this survey.`,
+          });
+        }
+        if (
+          families !== null &&
+          !(
+            Number.isInteger(families) &&
+            families >= 1 &&
+            families <= TARGET_MAX_FAMILIES
+          )
+        ) {
+          return res.status(400).json({
+            error: 'invalid_targets',
+            message: `Families for ${id} must be a whole number from 1 to ${TARGET_MAX_FAMILIES}, or null.`,
+          });
+        }
+      }
+
+      await withTransaction(async (client) => {
+        for (const [id, families] of entries) {
+          await client.query(
+            `DELETE FROM enrollment_targets
+             WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2
+               AND building_id = $3`,
+            [survey.id, cycle, id]
+          );
+          if (families === null) continue;
+          await client.query(
+            `INSERT INTO enrollment_targets (survey_id, cycle, building_id, families)
+             VALUES ($1, $2, $3, $4)`,
+            [survey.id, cycle, id, families]
+          );
+        }
+      });
+      await audit(req, 'targets_update', {
+        surveyId: survey.id,
+        target: cycle || 'active',
+        details: { targets: Object.fromEntries(entries) },
+      });
+      return res.json({ ok: true, targets: await loadTargets(survey.id, cycle) });
+    } catch (err) {
+      console.error('Admin targets error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- Comment coding (free-text search, themes, representative quotes) ---
+
+// Payload keys holding free text: the definition's text questions, plus
+// "*_free" keys from submissions made without one
+function commentKeys(index) {
+  return Object.keys(index).filter((k) => index[k].question.type === 'text');
+}
+
+// Every non-empty comment of a survey cycle the admin may see, in question
+// order, redacted. `search` adds a `matches` flag (full-text, or substring
+// for partial words) instead of filtering, so theme counts can use the full
+// set. `redacted` is set when the comment was changed on submission or now.
+// Comments are only listed under buildings that aren't suppressed, and left
+// out when that leaves none; `suppression` says which were.
+async function loadComments(
+  surveyId,
+  cycle,
+  definition,
+  scope,
+  search = '',
+  segment = null
+) {
+  const index = definition ? indexDefinition(definition) : {};
+  const redact = await loadRedactor();
+  const like = search ? `%${search.replace(/[\\%_]/g, '\\$&')}%` : null;
+  const params = [surveyId, cycle, commentKeys(index), search || null, like];
+  const { rows } = await pool.query(
+    `SELECT s.id, s.payload, s.language, e.key, e.value,
+            ($4::text IS NULL
+              OR to_tsvector('english', e.value)
+                 @@ websearch_to_tsquery('english', $4)
+              OR e.value ILIKE $5) AS matches,
+            o.submission_id IS NOT NULL AS has_original
+     FROM submissions s
+     CROSS JOIN LATERAL jsonb_each_text(s.payload) e
+     LEFT JOIN comment_originals o
+       ON o.submission_id = s.id AND o.question_key = e.key
+     WHERE s.survey_id = $1 AND s.cycle IS NOT DISTINCT FROM $2
+       AND s.status = 'accepted'
+       AND (e.key = ANY ($3::text[]) OR e.key LIKE '%\\_free')
+       AND btrim(e.value) <> ''${segmentConditions(segment, params, 's')}
+     ORDER BY s.id`,
+    params
+  );
+  const suppression = await loadSuppression(
+    surveyId,
+    cycle,
+    definition,
+    scope,
+    segment
+  );
+
+  const order = Object.keys(index);
+  const rank = (key) => {
+    const i = order.indexOf(key);
+    return i === -1 ? order.length : i;
+  };
+  const comments = [];
+  for (const row of rows) {
+    const entry = index[row.key];
+    // a *_free key that the definition says is something else
+    if (entry && entry.question.type !== 'text') continue;
+    if (!rowInScope(index, row.payload, scope)) continue;
+    const buildings = commentLabels(
+      definition,
+      index,
+      row.payload,
+      scope
+    ).filter((label) => !labelSuppressed(suppression, label));
+    if (!buildings.length) continue;
+    const text = redact(row.value.trim());
+    const changedNow = text !== row.value.trim();
+    comments.push({
+      submissionId: row.id,
+      key: row.key,
+      text,
+      language: row.language,
+      category: keyMeta(index, row.key).category,
+      buildings,
+      // Text redacted only now was searched unredacted; match it again as a
+      // plain substring so a search can't find what was removed
+      matches:
+        changedNow && search
+          ? row.matches && text.toLowerCase().includes(search.toLowerCase())
+          : row.matches,
+      redacted: row.has_original || changedNow,
+      sentiment: analyzeComment(text).sentiment,
+    });
+  }
+  comments.sort((a, b) => rank(a.key) - rank(b.key) || a.key.localeCompare(b.key));
+  return { comments, suppression };
+}
+
+const commentRef = (submissionId, key) => `${submissionId}:${key}`;
+
+// Theme ids and quote flag on each comment, in place
+async function attachCoding(comments) {
+  const ids = [...new Set(comments.map((c) => c.submissionId))];
+  const [tags, quotes] = await Promise.all([
+    pool.query(
+      `SELECT submission_id, question_key, theme_id FROM comment_tags
+       WHERE submission_id = ANY ($1::int[])`,
+      [ids]
+    ),
+    pool.query(
+      `SELECT submission_id, question_key FROM comment_quotes
+       WHERE submission_id = ANY ($1::int[])`,
+      [ids]
+    ),
+  ]);
+  const themesOf = new Map();
+  for (const t of tags.rows) {
+    const ref = commentRef(t.submission_id, t.question_key);
+    if (!themesOf.has(ref)) themesOf.set(ref, []);
+    themesOf.get(ref).push(t.theme_id);
+  }
+  const quoted = new Set(
+    quotes.rows.map((q) => commentRef(q.submission_id, q.question_key))
+  );
+  for (const c of comments) {
+    const ref = commentRef(c.submissionId, c.key);
+    c.themes = themesOf.get(ref) || [];
+    c.quote = quoted.has(ref);
+  }
+  return comments;
+}
+
+// Themes with comment counts in total and per category and building
+async function themeCounts(surveyId, comments) {
+  const { rows } = await pool.query(
+    `SELECT id, name FROM comment_themes WHERE survey_id = $1
+     ORDER BY lower(name)`,
+    [surveyId]
+  );
+  const themes = rows.map((t) => ({
+    id: t.id,
+    name: t.name,
+    total: 0,
+    byCategory: {},
+  }));
+  const byId = new Map(themes.map((t) => [t.id, t]));
+  for (const c of comments) {
+    for (const themeId of c.themes) {
+      const theme = byId.get(themeId);
+      if (!theme) continue;
+      theme.total += 1;
+      const category = (theme.byCategory[c.category] ||= {});
+      for (const building of c.buildings) {
+        category[building] = (category[building] || 0) + 1;
+      }
+    }
+  }
+  return themes;
+}
+
+// Representative quotes with their question and theme names, for exports
+async function loadCommentCoding(surveyId, cycle, definition, scope) {
+  const index = definition ? indexDefinition(definition) : {};
+  const { comments } = await loadComments(surveyId, cycle, definition, scope);
+  await attachCoding(comments);
+  const themes = await themeCounts(surveyId, comments);
+  const names = new Map(themes.map((t) => [t.id, t.name]));
+  const quotes = comments
+    .filter((c) => c.quote)
+    .map((c) => ({
+      ...c,
+      question: index[c.key] ? index[c.key].question.text : c.key,
+      themeNames: c.themes.map((id) => names.get(id)).filter(Boolean),
+    }));
+  return { themes, quotes };
+}
+
+const COMMENT_PAGE_LIMIT = 500;
+
+// ?cycle=, ?q= (search), ?key=, ?category=, ?building= (label),
+// ?sentiment=, ?theme= (id), ?quotes=1, ?offset=, ?limit=, ?lang= (the
+// language category and building names are given in, as for the summary)
+// and the segment filters (?filter[<key>]=, ?responseLanguage=, ?from=,
+// ?to=)
+app.get(
+  '/admin/surveys/:id/comments',
+  requireAdmin(),
+  async (req, res) => {
+    const q = req.query;
+    const search = typeof q.q === 'string' ? q.q.trim().slice(0, 200) : '';
+    const themeId = q.theme ? Number(q.theme) : null;
+    const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+    const limit = Math.min(
+      Math.max(parseInt(q.limit, 10) || 200, 1),
+      COMMENT_PAGE_LIMIT
+    );
+    const { segment, error: segmentError } = parseSegment(q);
+    if (segmentError) {
+      return res
+        .status(400)
+        .json({ error: 'invalid_filter', message: segmentError });
+    }
+
+    try {
+      const target = await surveyCycleTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const stored = await getDefinition(survey.id);
+      const definition = stored
+        ? localizeDefinition(stored, typeof q.lang === 'string' ? q.lang : null)
+        : null;
+      const index = definition ? indexDefinition(definition) : {};
+      if (!segmentInScope(segment, index, scope)) {
+        return res.status(403).json({ error: 'filter_out_of_scope' });
+      }
+      const { comments, suppression } = await loadComments(
+        survey.id,
+        cycle,
+        definition,
+        scope,
+        search,
+        segment
+      );
+      await attachCoding(comments);
+      const themes = await themeCounts(survey.id, comments);
+
+      const matching = comments.filter(
+        (c) =>
+          c.matches &&
+          (!q.key || c.key === q.key) &&
+          (!q.category || c.category === q.category) &&
+          (!q.building || c.buildings.includes(q.building)) &&
+          (!q.sentiment || c.sentiment === q.sentiment) &&
+          (!themeId || c.themes.includes(themeId)) &&
+          (!q.quotes || c.quote)
+      );
+      return res.json({
+        ok: true,
+        total: matching.length,
+        comments: matching
+          .slice(offset, offset + limit)
+          .map(({ matches: _matches, ...c }) => c),
+        themes,
+        suppression,
+      });
+    } catch (err) {
+      console.error('Admin comments error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+const THEME_NAME_MAX = 60;
+
+function parseThemeName(name) {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim().replace(/\s+/g, ' ');
+  return trimmed && trimmed.length <= THEME_NAME_MAX ? trimmed : null;
+}
+
+app.post(
+  '/admin/surveys/:id/themes',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const name = parseThemeName(req.body && req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        error: 'invalid_name',
+        message: `Theme name must be 1–${THEME_NAME_MAX} characters.`,
+      });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { rows } = await pool.query(
+        `INSERT INTO comment_themes (survey_id, name) VALUES ($1, $2)
+         ON CONFLICT DO NOTHING
+         RETURNING id, name`,
+        [survey.id, name]
+      );
+      if (!rows.length) {
+        return res.status(409).json({ error: 'theme_exists' });
+      }
+      await audit(req, 'theme_create', { surveyId: survey.id, target: name });
+      return res.json({ ok: true, theme: rows[0] });
+    } catch (err) {
+      console.error('Admin theme create error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Rename with { "name": "..." }
+app.patch(
+  '/admin/surveys/:id/themes/:themeId',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const name = parseThemeName(req.body && req.body.name);
+    if (!name) {
+      return res.status(400).json({
+        error: 'invalid_name',
+        message: `Theme name must be 1–${THEME_NAME_MAX} characters.`,
+      });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { rows } = await pool.query(
+        `UPDATE comment_themes SET name = $3
+         WHERE id = $1 AND survey_id = $2
+         RETURNING id, name`,
+        [Number(req.params.themeId) || 0, survey.id, name]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ error: 'unknown_theme' });
+      }
+      await audit(req, 'theme_update', {
+        surveyId: survey.id,
+        target: rows[0].id,
+        details: { name },
+      });
+      return res.json({ ok: true, theme: rows[0] });
+    } catch (err) {
+      if (err && err.code === '23505') {
+        return res.status(409).json({ error: 'theme_exists' });
+      }
+      console.error('Admin theme update error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Deleting a theme removes it from every comment
+app.delete(
+  '/admin/surveys/:id/themes/:themeId',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const { rows } = await pool.query(
+        `DELETE FROM comment_themes WHERE id = $1 AND survey_id = $2
+         RETURNING name`,
+        [Number(req.params.themeId) || 0, survey.id]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ error: 'unknown_theme' });
+      }
+      await audit(req, 'theme_delete', {
+        surveyId: survey.id,
+        target: rows[0].name,
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Admin theme delete error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Code one comment: { "themes": [ids] } replaces its themes,
+// { "quote": true|false } marks it as a representative quote. Either or both.
+// Only free-text answers can be coded.
+app.put(
+  '/admin/surveys/:id/comments/:submissionId/:key',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const body = req.body || {};
+    const submissionId = Number(req.params.submissionId);
+    const key = req.params.key;
+    const themeIds = body.themes;
+    if (
+      themeIds !== undefined &&
+      (!Array.isArray(themeIds) || themeIds.some((id) => !Number.isInteger(id)))
+    ) {
+      return res.status(400).json({ error: 'invalid_themes' });
+    }
+    if (body.quote !== undefined && typeof body.quote !== 'boolean') {
+      return res.status(400).json({ error: 'invalid_quote' });
+    }
+    if (!Number.isInteger(submissionId)) {
+      return res.status(404).json({ error: 'unknown_comment' });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const definition = await getDefinition(survey.id);
+      if (!isTextKey(definition ? indexDefinition(definition) : {}, key)) {
+        return res.status(400).json({ error: 'not_a_comment' });
+      }
+      const found = await pool.query(
+        `SELECT 1 FROM submissions
+         WHERE id = $1 AND survey_id = $2 AND status = 'accepted'
+           AND btrim(payload ->> $3) <> ''`,
+        [submissionId, survey.id, key]
+      );
+      if (!found.rows.length) {
+        return res.status(404).json({ error: 'unknown_comment' });
+      }
+
+      const result = await withTransaction(async (client) => {
+        if (themeIds !== undefined) {
+          const known = await client.query(
+            `SELECT id FROM comment_themes
+             WHERE survey_id = $1 AND id = ANY ($2::int[])`,
+            [survey.id, themeIds]
+          );
+          if (known.rows.length !== new Set(themeIds).size) return 'unknown_theme';
+          await client.query(
+            `DELETE FROM comment_tags
+             WHERE submission_id = $1 AND question_key = $2`,
+            [submissionId, key]
+          );
+          await client.query(
+            `INSERT INTO comment_tags (submission_id, question_key, theme_id)
+             SELECT $1, $2, unnest($3::int[])
+             ON CONFLICT DO NOTHING`,
+            [submissionId, key, themeIds]
+          );
+        }
+        if (body.quote === true) {
+          await client.query(
+            `INSERT INTO comment_quotes (submission_id, question_key)
+             VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+            [submissionId, key]
+          );
+        } else if (body.quote === false) {
+          await client.query(
+            `DELETE FROM comment_quotes
+             WHERE submission_id = $1 AND question_key = $2`,
+            [submissionId, key]
+          );
+        }
+        return null;
+      });
+      if (result) {
+        return res.status(400).json({ error: result });
+      }
+      await audit(req, 'comment_coding_update', {
+        surveyId: survey.id,
+        target: `${submissionId}:${key}`,
+        details: { themes: themeIds, quote: body.quote },
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Admin comment coding error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// Unredacted text of one comment: the original kept on submission, or the
+// stored text when it was only redacted on read. Only free-text answers of
+// accepted submissions can be read, and every view is audited.
+app.get(
+  '/admin/surveys/:id/comments/:submissionId/:key/original',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const submissionId = Number(req.params.submissionId);
+    const key = req.params.key;
+    if (!Number.isInteger(submissionId)) {
+      return res.status(404).json({ error: 'unknown_comment' });
+    }
+
+    try {
+      const survey = await findSurvey(req.params.id);
+      if (!survey) {
+        return res.status(404).json({ error: 'unknown_survey' });
+      }
+      const definition = await getDefinition(survey.id);
+      if (!isTextKey(definition ? indexDefinition(definition) : {}, key)) {
+        return res.status(404).json({ error: 'not_a_comment' });
+      }
+      const { rows } = await pool.query(
+        `SELECT COALESCE(o.original, s.payload ->> $3) AS original
+         FROM submissions s
+         LEFT JOIN comment_originals o
+           ON o.submission_id = s.id AND o.question_key = $3
+         WHERE s.id = $1 AND s.survey_id = $2 AND s.status = 'accepted'
+           AND btrim(s.payload ->> $3) <> ''`,
+        [submissionId, survey.id, key]
+      );
+      if (!rows.length) {
+        return res.status(404).json({ error: 'unknown_comment' });
+      }
+      await audit(req, 'comment_original_view', {
+        surveyId: survey.id,
+        target: `${submissionId}:${key}`,
+      });
+      return res.json({ ok: true, original: rows[0].original });
+    } catch (err) {
+      console.error('Admin comment original error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- PII redaction name list (district admins) ---
+// One list for the whole district: staff and student names, nicknames.
+app.get(
+  '/admin/redaction/names',
+  requireAdmin('district_admin'),
+  async (_req, res) => {
+    try {
+      await ensureSchema();
+      const { rows } = await pool.query(
+        `SELECT id, name, created_at AS "createdAt" FROM redaction_names
+         ORDER BY lower(name)`
+      );
+      return res.json({ ok: true, names: rows });
+    } catch (err) {
+      console.error('Admin redaction names error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+const MAX_REDACTION_NAMES_PER_REQUEST = 2000;
+
+// Add names with { "names": ["Jane Doe", ...] }; ones already listed
+// (ignoring case) are skipped
+app.post(
+  '/admin/redaction/names',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    const names = (req.body && req.body.names) || null;
+    if (
+      !Array.isArray(names) ||
+      !names.length ||
+      names.length > MAX_REDACTION_NAMES_PER_REQUEST ||
+      names.some((n) => typeof n !== 'string')
+    ) {
+      return res.status(400).json({
+        error: 'invalid_names',
+        message: `Send 1–${MAX_REDACTION_NAMES_PER_REQUEST} names.`,
+      });
+    }
+    const cleaned = [
+      ...new Set(names.map((n) => n.trim().replace(/\s+/g, ' '))),
+    ];
+    if (
+      cleaned.some(
+        (n) => n.length < REDACTION_NAME_MIN || n.length > REDACTION_NAME_MAX
+      )
+    ) {
+      return res.status(400).json({
+        error: 'invalid_names',
+        message: `Each name must be ${REDACTION_NAME_MIN}–${REDACTION_NAME_MAX} characters.`,
+      });
+    }
+
+    try {
+      await ensureSchema();
+      const { rowCount } = await pool.query(
+        `INSERT INTO redaction_names (name)
+         SELECT unnest($1::text[])
+         ON CONFLICT DO NOTHING`,
+        [cleaned]
+      );
+      // The names themselves stay out of the audit log
+      await audit(req, 'redaction_names_add', {
+        details: { added: rowCount },
+      });
+      return res.json({ ok: true, added: rowCount });
+    } catch (err) {
+      console.error('Admin redaction names add error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+app.delete(
+  '/admin/redaction/names/:nameId',
+  requireAdmin('district_admin'),
+  async (req, res) => {
+    try {
+      await ensureSchema();
+      const { rowCount } = await pool.query(
+        'DELETE FROM redaction_names WHERE id = $1',
+        [Number(req.params.nameId) || 0]
+      );
+      if (!rowCount) {
+        return res.status(404).json({ error: 'unknown_name' });
+      }
+      await audit(req, 'redaction_name_delete', {
+        target: String(req.params.nameId),
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Admin redaction name delete error:', err);
+      return res
+        .status(500)
+        .json({ error: 'server_error', message: String(err) });
+    }
+  }
+);
+
+// --- Exports (CSV / Excel) ---
+// Raw submissions are read in id order, a batch at a time, and streamed to
+// the client so a large survey never sits in memory as one result set.
+// Free text is redacted against the current name list on the way out, and
+// cells of suppressed buildings read SUPPRESSED_NOTE.
+const EXPORT_BATCH_SIZE = 500;
+
+async function* iterateSubmissions(surveyId, cycle, definition, scope) {
+  const index = definition ? indexDefinition(definition) : {};
+  const redact = await loadRedactor();
+  const suppression = await loadSuppression(surveyId, cycle, definition, scope);
+  let lastId = 0;
+  for (;;) {
+    const { rows } = await pool.query(
+      `SELECT id, submitted_at, language, payload FROM submissions
+       WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2
+         AND status = 'accepted' AND id > $3
+       ORDER BY id LIMIT $4`,
+      [surveyId, cycle, lastId, EXPORT_BATCH_SIZE]
+    );
+    if (!rows.length) return;
+    for (const row of rows) {
+      if (!rowInScope(index, row.payload, scope)) continue;
+      const { payload } = redactPayload(row.payload, index, redact);
+      yield {
+        ...row,
+        payload: suppressPayload(payload, suppression, definition, index, scope),
+      };
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+// Payload keys in definition order, then any others alphabetically
+async function exportColumns(surveyId, cycle, definition, scope) {
+  const { rows } = await pool.query(
+    `SELECT DISTINCT jsonb_object_keys(payload) AS key FROM submissions
+     WHERE survey_id = $1 AND cycle IS NOT DISTINCT FROM $2
+       AND status = 'accepted'`,
+    [surveyId, cycle]
+  );
+  const index = definition ? indexDefinition(definition) : {};
+  const present = new Set(
+    rows.map((r) => r.key).filter((k) => keyInScope(index, k, scope))
+  );
+  const ordered = Object.keys(index).filter((k) => present.has(k));
+  const rest = [...present].filter((k) => !ordered.includes(k)).sort();
+  return [...ordered, ...rest];
+}
+
+// Scores the summary export has a count column for: every point of any
+// scale question's range, lowest first
+function summaryScores(summary) {
+  const index = summary.definition ? indexDefinition(summary.definition) : {};
+  const scores = new Set();
+  for (const [key, q] of Object.entries(summary.questions)) {
+    if (q.type !== 'scale') continue;
+    const { min, max } = answerRange(index[key] ? index[key].question : q);
+    for (let score = min; score <= max; score++) scores.add(score);
+  }
+  return [...scores].sort((a, b) => a - b);
+}
+
+// One row per question: wording, grouping, counts per score (one for each
+// of `scores`, blank outside the question's range), average and the other
+// statistics (blank where a question has too few answers). Questions other
+// than scale ones fill in `answers` (and NPS its score and average) instead
+// of the score columns. Suppressed questions give SUPPRESSED_NOTE as their
+// response count and nothing else.
+function summaryExportRows(summary, scores) {
+  const index = summary.definition ? indexDefinition(summary.definition) : {};
+  const blanks = scores.map(() => '');
+  const keys = Object.keys(summary.questions);
+  const order = Object.keys(index);
+  keys.sort((a, b) => {
+    const ia = order.indexOf(a);
+    const ib = order.indexOf(b);
+    if (ia !== ib) return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+    return a.localeCompare(b);
+  });
+
+  return keys.map((key) => {
+    const q = summary.questions[key];
+    const meta = keyMeta(index, key);
+    const row = {
+      key,
+      question: index[key] ? index[key].question.text : key,
+      category: meta.category,
+      building: meta.building,
+      type: q.type,
+    };
+    if (q.suppressed) {
+      return {
+        ...row,
+        suppressed: true,
+        responses: q.note,
+        average: '',
+        counts: blanks,
+        median: '',
+        sd: '',
+        favorable: '',
+        unfavorable: '',
+        ci95: ['', ''],
+        vsDistrict: ['', ''],
+        na: '',
+        nps: '',
+        answers: '',
+      };
+    }
+    const range = q.type === 'scale' ? answerRange(q) : null;
+    return {
+      ...row,
+      range,
+      responses: q.responses,
+      average: round2(q.average),
+      counts: range
+        ? scores.map((score) =>
+            score < range.min || score > range.max ? '' : q.counts[score] || 0
+          )
+        : blanks,
+      median: q.median == null ? '' : q.median,
+      sd: round2(q.sd),
+      favorable: round2(q.favorable),
+      unfavorable: round2(q.unfavorable),
+      ci95: q.ci95 ? q.ci95.map(round2) : ['', ''],
+      vsDistrict: q.vsDistrict
+        ? [round2(q.vsDistrict.difference), q.vsDistrict.significant ? 'yes' : 'no']
+        : ['', ''],
+      na: q.na,
+      nps: round2(q.nps),
+      answers: answerBreakdown(q, index[key] && index[key].question),
+    };
+  });
+}
+
+// Summary export columns after the counts per score
+const SUMMARY_EXPORT_STATS_HEADER = [
+  'Median',
+  'Std dev',
+  '% Favorable',
+  '% Unfavorable',
+  '95% CI low',
+  '95% CI high',
+  'Difference vs district',
+  'Significant',
+  'Type',
+  'N/A',
+  'NPS',
+  'Answers',
+];
+
+function summaryExportHeader(scores) {
+  return [
+    'Question key',
+    'Question',
+    'Category',
+    'Building',
+    'Responses',
+    'Average',
+    ...scores.map((score) => `Count ${score}`),
+    ...SUMMARY_EXPORT_STATS_HEADER,
+  ];
+}
+
+function round2(value) {
+  return value == null ? '' : Number(value.toFixed(2));
+}
+
+const THEME_EXPORT_HEADER = ['Theme', 'Category', 'Building', 'Comments'];
+
+// One row per theme, category and building, after a total row per theme
+function themeExportRows(themes) {
+  const rows = [];
+  for (const theme of themes) {
+    rows.push([theme.name, 'All', 'All', theme.total]);
+    for (const [category, buildings] of Object.entries(theme.byCategory)) {
+      for (const [building, count] of Object.entries(buildings)) {
+        rows.push([theme.name, category, building, count]);
+      }
+    }
+  }
+  return rows;
+}
+
+const QUOTE_EXPORT_HEADER = [
+  'Question key',
+  'Question',
+  'Category',
+  'Buildings',
+  'Quote',
+  'Themes',
+];
+
+function quoteExportValues(quote) {
+  return [
+    quote.key,
+    quote.question,
+    quote.category,
+    quote.buildings.join('; '),
+    quote.text,
+    quote.themeNames.join('; '),
+  ];
+}
+
+function summaryExportValues(row) {
+  return [
+    row.key,
+    row.question,
+    row.category,
+    row.building,
+    row.responses,
+    row.average,
+    ...row.counts,
+    row.median,
+    row.sd,
+    row.favorable,
+    row.unfavorable,
+    ...row.ci95,
+    ...row.vsDistrict,
+    row.type,
+    row.na,
+    row.nps,
+    row.answers,
+  ];
+}
+
+// Quote for CSV. Text that a spreadsheet would treat as a formula gets a
+// leading apostrophe so exported comments can't run as formulas.
+function csvCell(value) {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+// res.write that waits for the socket to drain when its buffer is full.
+// Also settles when the download is cut off, so callers check res.destroyed
+// before writing more.
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const settle = (err) => {
+      res.off('drain', settle);
+      res.off('close', settle);
+      res.off('error', settle);
+      if (err) reject(err);
+      else resolve();
+    };
+    res.on('drain', settle);
+    res.on('close', settle);
+    res.on('error', settle);
+  });
+}
+
+function exportFilename(survey, cycle, kind, ext) {
+  const name = `${survey.id}_${cycle || 'active'}_${kind}.${ext}`;
+  return name.replace(/[^A-Za-z0-9._-]+/g, '_');
+}
+
+function setDownloadHeaders(res, filename, contentType) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${filename}"`
+  );
+}
+
+const XLSX_TYPE =
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// Resolve :id and ?cycle=, or send the error response
+async function surveyCycleTarget(req, res) {
+  const survey = await findSurvey(req.params.id);
+  if (!survey) {
+    res.status(404).json({ error: 'unknown_survey' });
+    return null;
+  }
+  const cycle = typeof req.query.cycle === 'string' ? req.query.cycle : '';
+  if (cycle && !(await cycleExists(survey.id, cycle))) {
+    res.status(404).json({ error: 'unknown_cycle' });
+    return null;
+  }
+  return { survey, cycle: cycle || null, scope: adminScope(req) };
+}
+
+// Same for an export route. Every export that gets this far is recorded in
+// the audit log.
+async function exportTarget(req, res) {
+  const target = await surveyCycleTarget(req, res);
+  if (!target) return null;
+  await audit(req, 'export', {
+    surveyId: target.survey.id,
+    target: target.cycle || 'active',
+    details: { file: req.path.split('/').pop() },
+  });
+  return target;
+}
+
+// Headers may already be on the wire when a stream fails; then the only
+// thing left to do is cut the download short.
+function exportFailed(res, label, err) {
+  console.error(`${label} error:`, err);
+  if (res.headersSent) return res.destroy(err);
+  return res
+    .status(500)
+    .json({ error: 'server_error', message: String(err) });
+}
+
+app.get(
+  '/admin/surveys/:id/export/submissions.csv',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const target = await exportTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const definition = await getDefinition(survey.id);
+      const columns = await exportColumns(survey.id, cycle, definition, scope);
+
+      setDownloadHeaders(
+        res,
+        exportFilename(survey, cycle, 'submissions', 'csv'),
+        'text/csv; charset=utf-8'
+      );
+      // BOM so Excel opens the file as UTF-8
+      await writeChunk(
+        res,
+        '\uFEFF' + csvLine(['id', 'submitted_at', 'language', ...columns])
+      );
+      for await (const row of iterateSubmissions(
+        survey.id,
+        cycle,
+        definition,
+        scope
+      )) {
+        if (res.destroyed) return;
+        const payload = row.payload || {};
+        await writeChunk(
+          res,
+          csvLine([
+            row.id,
+            row.submitted_at.toISOString(),
+            row.language,
+            ...columns.map((k) => payload[k]),
+          ])
+        );
+      }
+      if (!res.destroyed) res.end();
+    } catch (err) {
+      exportFailed(res, 'Submissions CSV export', err);
+    }
+  }
+);
+
+app.get(
+  '/admin/surveys/:id/export/submissions.xlsx',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const target = await exportTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const definition = await getDefinition(survey.id);
+      const columns = await exportColumns(survey.id, cycle, definition, scope);
+
+      setDownloadHeaders(
+        res,
+        exportFilename(survey, cycle, 'submissions', 'xlsx'),
+        XLSX_TYPE
+      );
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,
+        useSharedStrings: false,
+      });
+      const sheet = workbook.addWorksheet('Submissions');
+      sheet.columns = [
+        // payload keys can't start with "_", so these can't clash
+        { header: 'id', key: '_id', width: 8 },
+        { header: 'submitted_at', key: '_submitted_at', width: 22 },
+        { header: 'language', key: '_language', width: 10 },
+        ...columns.map((k) => ({ header: k, key: k, width: 14 })),
+      ];
+      for await (const row of iterateSubmissions(
+        survey.id,
+        cycle,
+        definition,
+        scope
+      )) {
+        if (res.destroyed) return;
+        sheet
+          .addRow({
+            ...(row.payload || {}),
+            _id: row.id,
+            _submitted_at: row.submitted_at,
+            _language: row.language,
+          })
+          .commit();
+      }
+      sheet.commit();
+      await workbook.commit();
+    } catch (err) {
+      exportFailed(res, 'Submissions Excel export', err);
+    }
+  }
+);
+
+app.get(
+  '/admin/surveys/:id/export/summary.csv',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const target = await exportTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const summary = await buildSummary(survey.id, cycle, scope);
+      const scores = summaryScores(summary);
+      const lines = [csvLine(summaryExportHeader(scores))];
+      for (const row of summaryExportRows(summary, scores)) {
+        lines.push(csvLine(summaryExportValues(row)));
+      }
+
+      setDownloadHeaders(
+        res,
+        exportFilename(survey, cycle, 'summary', 'csv'),
+        'text/csv; charset=utf-8'
+      );
+      res.send('\uFEFF' + lines.join(''));
+    } catch (err) {
+      exportFailed(res, 'Summary CSV export', err);
+    }
+  }
+);
+
+app.get(
+  '/admin/surveys/:id/export/quotes.csv',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const target = await exportTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const definition = await getDefinition(survey.id);
+      const { quotes } = await loadCommentCoding(
+        survey.id,
+        cycle,
+        definition,
+        scope
+      );
+      const lines = [csvLine(QUOTE_EXPORT_HEADER)];
+      for (const quote of quotes) {
+        lines.push(csvLine(quoteExportValues(quote)));
+      }
+
+      setDownloadHeaders(
+        res,
+        exportFilename(survey, cycle, 'quotes', 'csv'),
+        'text/csv; charset=utf-8'
+      );
+      res.send('\uFEFF' + lines.join(''));
+    } catch (err) {
+      exportFailed(res, 'Quotes CSV export', err);
+    }
+  }
+);
+
+app.get(
+  '/admin/surveys/:id/export/summary.xlsx',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const target = await exportTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const summary = await buildSummary(survey.id, cycle, scope);
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Summary');
+      const scores = summaryScores(summary);
+      sheet.addRow(summaryExportHeader(scores)).font = { bold: true };
+      for (const row of summaryExportRows(summary, scores)) {
+        sheet.addRow(summaryExportValues(row));
+      }
+      sheet.getColumn(2).width = 60;
+      [1, 3, 4].forEach((c) => {
+        sheet.getColumn(c).width = 24;
+      });
+      sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+      // Comment coding: theme counts and representative quotes
+      const coding = await loadCommentCoding(
+        survey.id,
+        cycle,
+        summary.definition,
+        scope
+      );
+      const themeSheet = workbook.addWorksheet('Themes');
+      themeSheet.addRow(THEME_EXPORT_HEADER).font = { bold: true };
+      for (const values of themeExportRows(coding.themes)) {
+        themeSheet.addRow(values);
+      }
+      themeSheet.getColumn(1).width = 30;
+      themeSheet.getColumn(2).width = 30;
+      themeSheet.getColumn(3).width = 20;
+
+      const quoteSheet = workbook.addWorksheet('Representative quotes');
+      quoteSheet.addRow(QUOTE_EXPORT_HEADER).font = { bold: true };
+      for (const quote of coding.quotes) {
+        quoteSheet.addRow(quoteExportValues(quote));
+      }
+      quoteSheet.getColumn(2).width = 40;
+      quoteSheet.getColumn(5).width = 80;
+      quoteSheet.getColumn(5).alignment = { wrapText: true };
+
+      setDownloadHeaders(
+        res,
+        exportFilename(survey, cycle, 'summary', 'xlsx'),
+        XLSX_TYPE
+      );
+      await workbook.xlsx.write(res);
+      res.end();
+    } catch (err) {
+      exportFailed(res, 'Summary Excel export', err);
+    }
+  }
+);
+
+// --- Board report (PDF) ---
+// Built with PDFKit entirely on this server: tables, charts (drawn as
+// vector shapes) and comment appendices, no browser or cloud renderer.
+const REPORT = {
+  purple: '#6b46c1',
+  purpleDark: '#4c1d95',
+  purpleLight: '#ede9fe',
+  text: '#111827',
+  muted: '#6b7280',
+  border: '#e5e7eb',
+  scoreColors: ['#fca5a5', '#fdba74', '#fde68a', '#bef264', '#86efac'],
+};
+
+// Category / building rollups used by the report charts: responses and
+// pooled averages over every scale answer in the group, on the 1–5 range.
+function reportRollups(summary) {
+  const index = summary.definition ? indexDefinition(summary.definition) : {};
+  const byBuilding = {};
+  const district = {};
+
+  function add(bucket, category, q) {
+    if (!bucket[category]) bucket[category] = { sum: 0, responses: 0 };
+    bucket[category].sum +=
+      q.responses * toPooledScale(q.average, q.min, q.max);
+    bucket[category].responses += q.responses;
+  }
+
+  for (const [key, q] of Object.entries(summary.questions)) {
+    if (q.type !== 'scale' || !q.responses) continue;
+    const meta = keyMeta(index, key);
+    if (!byBuilding[meta.building]) byBuilding[meta.building] = {};
+    add(byBuilding[meta.building], meta.category, q);
+    add(district, meta.category, q);
+  }
+
+  const sectionOrder = summary.definition
+    ? summary.definition.sections.map((s) => s.title)
+    : [];
+  const buildingOrder = summary.definition
+    ? (summary.definition.buildings || []).map((b) => b.label)
+    : [];
+  const byOrder = (order) => (a, b) => {
+    const ia = order.indexOf(a);
+    const ib = order.indexOf(b);
+    return (
+      (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib) ||
+      a.localeCompare(b)
+    );
+  };
+
+  function bars(bucket) {
+    return Object.keys(bucket)
+      .sort(byOrder(sectionOrder))
+      .map((category) => ({
+        label: category,
+        responses: bucket[category].responses,
+        average: bucket[category].sum / bucket[category].responses,
+      }));
+  }
+
+  return {
+    district: bars(district),
+    buildings: Object.keys(byBuilding)
+      .sort(byOrder(buildingOrder))
+      .map((label) => ({ label, bars: bars(byBuilding[label]) })),
+  };
+}
+
+// "All buildings", or the labels of the buildings a scoped report covers
+function scopeLabel(summary) {
+  if (!summary.scope) return 'All buildings';
+  const buildings = (summary.definition && summary.definition.buildings) || [];
+  return summary.scope
+    .map((id) => (buildings.find((b) => b.id === id) || { label: id }).label)
+    .join(', ');
+}
+
+function reportPageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+// Start a new page unless `height` more points fit on this one
+function ensureSpace(doc, height) {
+  if (doc.y + height > reportPageBottom(doc)) doc.addPage();
+}
+
+function reportHeading(doc, text) {
+  ensureSpace(doc, 60);
+  doc
+    .moveDown(0.5)
+    .font('Helvetica-Bold')
+    .fontSize(16)
+    .fillColor(REPORT.purpleDark)
+    .text(text, doc.page.margins.left);
+  const y = doc.y + 2;
+  doc
+    .moveTo(doc.page.margins.left, y)
+    .lineTo(doc.page.width - doc.page.margins.right, y)
+    .lineWidth(1)
+    .strokeColor(REPORT.purple)
+    .stroke();
+  doc.moveDown(0.6);
+}
+
+function reportSubheading(doc, text) {
+  ensureSpace(doc, 40);
+  doc
+    .moveDown(0.4)
+    .font('Helvetica-Bold')
+    .fontSize(12)
+    .fillColor(REPORT.text)
+    .text(text, doc.page.margins.left);
+  doc.moveDown(0.3);
+}
+
+function drawCover(doc, { survey, summary, cycle }) {
+  const { width, height } = doc.page;
+  doc.rect(0, 0, width, 220).fill(REPORT.purple);
+  doc
+    .fillColor('#ffffff')
+    .font('Helvetica')
+    .fontSize(12)
+    .text(DISTRICT_NAME, 54, 70, { width: width - 108 })
+    .moveDown(0.6)
+    .font('Helvetica-Bold')
+    .fontSize(28)
+    .text('Climate Survey Board Report', { width: width - 108 })
+    .moveDown(0.3)
+    .font('Helvetica')
+    .fontSize(16)
+    .text(survey.title, { width: width - 108 });
+
+  const generated = new Date().toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+  const facts = [
+    ['Survey cycle', cycle || 'Active cycle'],
+    ['Buildings', scopeLabel(summary)],
+    ['Total submissions', String(summary.totalSubmissions)],
+    ['Survey ID', survey.id],
+    ['Generated', generated],
+  ];
+  let y = 270;
+  for (const [label, value] of facts) {
+    doc
+      .fillColor(REPORT.muted)
+      .font('Helvetica')
+      .fontSize(11)
+      .text(label, 54, y, { width: 160 });
+    doc
+      .fillColor(REPORT.text)
+      .font('Helvetica-Bold')
+      .text(value, 220, y, { width: width - 274 });
+    y += 24;
+  }
+
+  doc
+    .fillColor(REPORT.muted)
+    .font('Helvetica')
+    .fontSize(10)
+    .text(
+      'Scale questions are scored 1 (lowest) to 5 (highest) unless the ' +
+        'question lists another range. Averages pool every response in ' +
+        'the group, with other ranges rescaled to 1–5. Open-ended comments ' +
+        'appear in the appendix with names, email addresses and phone ' +
+        'numbers redacted.' +
+        (MIN_CELL_SIZE > 1
+          ? ` Results for fewer than ${MIN_CELL_SIZE} respondents (a ` +
+            'building or a single question) are withheld to protect ' +
+            'anonymity.'
+          : ''),
+      54,
+      height - 160,
+      { width: width - 108 }
+    );
+}
+
+// Question tables, one per category
+function drawCategoryTables(doc, summary) {
+  const scores = summaryScores(summary);
+  const rows = summaryExportRows(summary, scores);
+  const categories = [];
+  for (const row of rows) {
+    let group = categories.find((c) => c.title === row.category);
+    if (!group) {
+      group = { title: row.category, rows: [] };
+      categories.push(group);
+    }
+    group.rows.push(row);
+  }
+
+  doc.addPage();
+  reportHeading(doc, 'Results by Category');
+  if (!categories.length) {
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor(REPORT.muted)
+      .text('No question responses yet.');
+    return;
+  }
+
+  const left = doc.page.margins.left;
+  const cols = [
+    { label: 'Question', width: 250 },
+    { label: 'Building', width: 88 },
+    { label: 'n', width: 34, align: 'right' },
+    { label: 'Avg', width: 38, align: 'right' },
+    { label: 'Distribution', width: 94 },
+  ];
+
+  function headerRow() {
+    let x = left;
+    const y = doc.y;
+    doc.rect(left, y - 3, 504, 18).fill(REPORT.purpleLight);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(REPORT.purpleDark);
+    for (const col of cols) {
+      doc.text(col.label, x + 3, y, {
+        width: col.width - 6,
+        align: col.align || 'left',
+      });
+      x += col.width;
+    }
+    doc.y = y + 18;
+  }
+
+  for (const category of categories) {
+    reportSubheading(doc, category.title);
+    headerRow();
+
+    for (const row of category.rows) {
+      // scale questions outside 1–5 say their range
+      const { range } = row;
+      const ownRange =
+        range &&
+        (range.min !== POOLED_SCALE.min || range.max !== POOLED_SCALE.max);
+      const question = ownRange
+        ? `${row.question} (${range.min}–${range.max})`
+        : row.question;
+      doc.font('Helvetica').fontSize(9);
+      const textHeight = doc.heightOfString(question, {
+        width: cols[0].width - 6,
+      });
+      // other question types list their answers where the bar would go
+      let answers = row.answers ? row.answers.split('; ').join('\n') : '';
+      if (row.type === 'nps' && row.nps !== '') {
+        answers = `NPS ${Math.round(row.nps)}\n${answers}`;
+      }
+      doc.fontSize(7);
+      const answersHeight = answers
+        ? doc.heightOfString(answers, { width: cols[4].width - 6 })
+        : 0;
+      doc.fontSize(9);
+      const rowHeight = Math.max(textHeight, answersHeight, 10) + 8;
+      if (doc.y + rowHeight > reportPageBottom(doc)) {
+        doc.addPage();
+        headerRow();
+      }
+
+      const y = doc.y;
+      const cells = [
+        question,
+        row.building,
+        row.suppressed ? '–' : String(row.responses),
+        row.average === '' ? '–' : row.average.toFixed(2),
+      ];
+      let x = left;
+      doc.fillColor(REPORT.text);
+      cells.forEach((text, i) => {
+        doc.text(text, x + 3, y + 3, {
+          width: cols[i].width - 6,
+          align: cols[i].align || 'left',
+        });
+        x += cols[i].width;
+      });
+
+      // stacked distribution bar, or why there is none
+      const barWidth = cols[4].width - 8;
+      const total =
+        row.suppressed || row.type !== 'scale'
+          ? 0
+          : row.counts.reduce((a, b) => a + (b || 0), 0);
+      let bx = x + 3;
+      if (row.suppressed) {
+        doc
+          .fillColor(REPORT.muted)
+          .text(row.responses, bx, y + 3, { width: cols[4].width - 6 });
+      } else if (answers) {
+        doc
+          .fontSize(7)
+          .fillColor(REPORT.text)
+          .text(answers, bx, y + 3, { width: cols[4].width - 6 });
+        doc.fontSize(9);
+      } else if (total) {
+        row.counts.forEach((count, i) => {
+          const w = ((count || 0) / total) * barWidth;
+          if (w > 0) {
+            // colored lowest to highest point of the question's own range
+            const { min, max } = row.range;
+            const color = Math.round(toPooledScale(scores[i], min, max)) - 1;
+            doc.rect(bx, y + 4, w, 8).fill(REPORT.scoreColors[color]);
+          }
+          bx += w;
+        });
+      }
+
+      doc
+        .moveTo(left, y + rowHeight - 1)
+        .lineTo(left + 504, y + rowHeight - 1)
+        .lineWidth(0.5)
+        .strokeColor(REPORT.border)
+        .stroke();
+      doc.y = y + rowHeight;
+    }
+    doc.moveDown(0.5);
+  }
+}
+
+// Horizontal bar chart of pooled averages (see POOLED_SCALE)
+function drawBarChart(doc, title, bars) {
+  const left = doc.page.margins.left;
+  const labelWidth = 170;
+  const chartWidth = 290;
+  const barHeight = 14;
+  const rowGap = 8;
+  const height = 40 + bars.length * (barHeight + rowGap) + 20;
+
+  ensureSpace(doc, height);
+  reportSubheading(doc, title);
+
+  const top = doc.y + 4;
+  const x0 = left + labelWidth;
+  const { min, max } = POOLED_SCALE;
+  const scaleX = (v) => x0 + ((v - min) / (max - min)) * chartWidth;
+  const bottom = top + bars.length * (barHeight + rowGap);
+
+  // gridlines and axis labels
+  doc.font('Helvetica').fontSize(8);
+  for (let v = min; v <= max; v++) {
+    const gx = scaleX(v);
+    doc
+      .moveTo(gx, top - 4)
+      .lineTo(gx, bottom)
+      .lineWidth(0.5)
+      .strokeColor(REPORT.border)
+      .stroke();
+    doc.fillColor(REPORT.muted).text(String(v), gx - 10, bottom + 3, {
+      width: 20,
+      align: 'center',
+    });
+  }
+
+  bars.forEach((bar, i) => {
+    const y = top + i * (barHeight + rowGap);
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .fillColor(REPORT.text)
+      .text(bar.label, left, y + 3, {
+        width: labelWidth - 8,
+        ellipsis: true,
+        lineBreak: false,
+      });
+    const w = Math.max(scaleX(bar.average) - x0, 1);
+    doc.rect(x0, y, w, barHeight).fill(REPORT.purple);
+    doc
+      .fillColor(REPORT.text)
+      .fontSize(8)
+      .text(
+        `${bar.average.toFixed(2)} (n=${bar.responses})`,
+        x0 + w + 4,
+        y + 3,
+        { width: 80, lineBreak: false }
+      );
+  });
+
+  doc.y = bottom + 20;
+  doc.x = left;
+}
+
+function drawBuildingCharts(doc, summary) {
+  const rollups = reportRollups(summary);
+  doc.addPage();
+  reportHeading(doc, 'Results by Building');
+
+  if (!rollups.district.length) {
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor(REPORT.muted)
+      .text('No scale-question responses yet.');
+    return;
+  }
+
+  drawBarChart(
+    doc,
+    summary.scope ? `All of: ${scopeLabel(summary)}` : 'District (all buildings)',
+    rollups.district
+  );
+  for (const building of rollups.buildings) {
+    drawBarChart(doc, building.label, building.bars);
+  }
+}
+
+// Theme counts and representative quotes picked in the coding workspace.
+// Left out entirely until someone has coded comments.
+function drawThemesAndQuotes(doc, { themes, quotes }) {
+  const used = themes.filter((t) => t.total > 0);
+  if (!used.length && !quotes.length) return;
+
+  doc.addPage();
+  reportHeading(doc, 'What Families Wrote: Themes and Quotes');
+  const left = doc.page.margins.left;
+
+  if (used.length) {
+    reportSubheading(doc, 'Themes in open-ended responses');
+    const max = Math.max(...used.map((t) => t.total));
+    for (const theme of [...used].sort((a, b) => b.total - a.total)) {
+      ensureSpace(doc, 30);
+      const y = doc.y;
+      doc
+        .font('Helvetica')
+        .fontSize(10)
+        .fillColor(REPORT.text)
+        .text(theme.name, left, y, { width: 170 });
+      doc.rect(left + 176, y + 1, (theme.total / max) * 260, 9).fill(REPORT.purple);
+      doc
+        .fillColor(REPORT.text)
+        .text(String(theme.total), left + 444, y, { width: 60, align: 'right' });
+
+      const categories = Object.entries(theme.byCategory)
+        .map(([category, buildings]) =>
+          `${category}: ${Object.entries(buildings)
+            .map(([b, n]) => `${b} ${n}`)
+            .join(', ')}`
+        )
+        .join(' · ');
+      doc
+        .fontSize(8)
+        .fillColor(REPORT.muted)
+        .text(categories, left, Math.max(doc.y, y + 13), { width: 504 });
+      doc.moveDown(0.5);
+    }
+  }
+
+  if (quotes.length) {
+    reportSubheading(doc, 'Representative quotes');
+    for (const quote of quotes) {
+      doc.font('Helvetica-Oblique').fontSize(10);
+      const height = doc.heightOfString(`“${quote.text}”`, { width: 480 });
+      ensureSpace(doc, height + 28);
+      doc
+        .fillColor(REPORT.text)
+        .text(`“${quote.text}”`, left + 12, doc.y, { width: 480 });
+      doc
+        .font('Helvetica')
+        .fontSize(8)
+        .fillColor(REPORT.muted)
+        .text(
+          [quote.category, quote.buildings.join(', '), ...quote.themeNames].join(
+            ' · '
+          ),
+          left + 12,
+          doc.y + 2,
+          { width: 480 }
+        );
+      doc.moveDown(0.7);
+    }
+  }
+}
+
+function drawFreeTextAppendix(doc, summary) {
+  const index = summary.definition ? indexDefinition(summary.definition) : {};
+  const entries = Object.entries(summary.freeText);
+
+  doc.addPage();
+  reportHeading(doc, 'Appendix: Open-ended Responses');
+  if (!entries.length) {
+    doc
+      .font('Helvetica')
+      .fontSize(11)
+      .fillColor(REPORT.muted)
+      .text('No open-ended responses.');
+    return;
+  }
+
+  const order = Object.keys(index);
+  entries.sort(([a], [b]) => {
+    const ia = order.indexOf(a);
+    const ib = order.indexOf(b);
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+  });
+
+  const left = doc.page.margins.left;
+  for (const [key, info] of entries) {
+    const entry = index[key];
+    reportSubheading(doc, entry ? entry.question.text : key);
+    doc
+      .font('Helvetica')
+      .fontSize(9)
+      .fillColor(REPORT.muted)
+      .text(
+        `${keyMeta(index, key).category} · ${info.responses} response${
+          info.responses === 1 ? '' : 's'
+        }`,
+        left
+      );
+    doc.moveDown(0.3);
+
+    for (const [building, comments] of Object.entries(info.byBuilding)) {
+      if (!comments.suppressed && !comments.length) continue;
+      ensureSpace(doc, 30);
+      doc
+        .font('Helvetica-Bold')
+        .fontSize(10)
+        .fillColor(REPORT.purpleDark)
+        .text(building, left);
+      if (comments.suppressed) {
+        doc
+          .font('Helvetica')
+          .fontSize(10)
+          .fillColor(REPORT.muted)
+          .text(comments.note, left + 8);
+        doc.moveDown(0.4);
+        continue;
+      }
+      doc.font('Helvetica').fontSize(10).fillColor(REPORT.text);
+      for (const comment of comments) {
+        ensureSpace(doc, 14);
+        doc.text(`•  ${comment}`, left + 8, doc.y, {
+          width: 496,
+          paragraphGap: 3,
+        });
+      }
+      doc.moveDown(0.4);
+    }
+  }
+}
+
+// Page footers are added last, once the page count is known
+function drawFooters(doc, survey) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    if (i === range.start) continue; // cover page
+    const bottomMargin = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc
+      .font('Helvetica')
+      .fontSize(8)
+      .fillColor(REPORT.muted)
+      .text(
+        `${DISTRICT_NAME} · ${survey.title}`,
+        doc.page.margins.left,
+        doc.page.height - 36,
+        { width: 400, lineBreak: false }
+      )
+      .text(
+        `Page ${i + 1} of ${range.count}`,
+        doc.page.width - doc.page.margins.right - 100,
+        doc.page.height - 36,
+        { width: 100, align: 'right', lineBreak: false }
+      );
+    doc.page.margins.bottom = bottomMargin;
+  }
+}
+
+app.get(
+  '/admin/surveys/:id/export/report.pdf',
+  requireAdmin(),
+  async (req, res) => {
+    try {
+      const target = await exportTarget(req, res);
+      if (!target) return;
+      const { survey, cycle, scope } = target;
+
+      const summary = await buildSummary(survey.id, cycle, scope);
+      const coding = await loadCommentCoding(
+        survey.id,
+        cycle,
+        summary.definition,
+        scope
+      );
+      const doc = new PDFDocument({
+        size: 'LETTER',
+        margin: 54,
+        bufferPages: true,
+        info: {
+          Title: `${survey.title} – Board Report`,
+          Author: DISTRICT_NAME,
+        },
+      });
+
+      setDownloadHeaders(
+        res,
+        exportFilename(survey, cycle, 'report', 'pdf'),
+        'application/pdf'
+      );
+      doc.pipe(res);
+
+      drawCover(doc, { survey, summary, cycle });
+      drawCategoryTables(doc, summary);
+      drawBuildingCharts(doc, summary);
+      drawThemesAndQuotes(doc, coding);
+      drawFreeTextAppendix(doc, summary);
+      drawFooters(doc, survey);
+
+      doc.end();
+    } catch (err) {
+      exportFailed(res, 'PDF report', err);
+    }
+  }
+);
 
 // 404
 app.use((_req, res) => {
@@ -326,6 +6924,8 @@ app.use((_req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Survey backend listening on port ${PORT}`);
+  startWebhookWorker();
+  console.log(`Default survey: ${DEFAULT_SURVEY_ID}`);
   console.log(
     `IP whitelist prefixes: ${
       IP_WHITELIST_PREFIXES.length
@@ -333,4 +6933,5 @@ app.listen(PORT, () => {
         : '(none)'
     }`
   );
+  console.log(`Minimum cell size: ${MIN_CELL_SIZE > 1 ? MIN_CELL_SIZE : 'off'}`);
 });